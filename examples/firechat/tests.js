@@ -1,5 +1,6 @@
 'use strict';
 
+const path = require('path');
 const test = require('../../');
 
 // Using Mocha BDD
@@ -10,7 +11,7 @@ describe('firechat', function() {
   this.timeout(10000);
 
   beforeEach(function() {
-    suite = test.suite({rules: require('./rules')});
+    suite = test.suite({rules: path.join(__dirname, 'rules.json')});
   });
 
   it('should disallow read by default', function() {
@@ -0,0 +1,202 @@
+'use strict';
+
+const context = require('./context');
+const errors = require('./errors');
+const fixtures = require('./fixtures');
+const fs = require('fs');
+const matrix = require('./matrix');
+const path = require('./path');
+const pathModule = require('path');
+const simulated = require('./drivers/simulated');
+
+/**
+ * Operations probed for each user and path.
+ *
+ * @type {string[]}
+ */
+exports.operations = ['read', 'set', 'update', 'remove'];
+
+/**
+ * Build the operation descriptor (see `matrix.apply`) probing an operation.
+ *
+ * "set" writes the probe value; "update" patches the location with the probe
+ * value if it is an object, or patches the parent location otherwise.
+ *
+ * @param  {string} op       Operation to probe ("read", "set", "update" or "remove")
+ * @param  {string} location Location to probe
+ * @param  {any}    value    Value to write
+ * @return {object|null}
+ */
+exports.descriptor = function(op, location, value) {
+  switch (op) {
+
+  case 'read':
+    return {op: 'get', path: location};
+
+  case 'set':
+    return {op: 'set', path: location, value};
+
+  case 'remove':
+    return {op: 'remove', path: location};
+
+  case 'update':
+    if (value != null && typeof value === 'object' && !Array.isArray(value)) {
+      return {op: 'update', path: location, value};
+    }
+
+    if (location === '') {
+      return null;
+    }
+
+    return {
+      op: 'update',
+      path: location.split('/').slice(0, -1).join('/'),
+      value: {[location.split('/').pop()]: value}
+    };
+
+  default:
+    throw new Error(`Unknown operation "${op}".`);
+
+  }
+};
+
+/**
+ * Probe which operations each user can run on each path.
+ *
+ * Paths can be a location or a `{path, value}` object setting the value to
+ * write; by default, writes use the location value in the seed, or `true` if
+ * the location is empty.
+ *
+ * Each probe runs with the simulated driver, against the seed.
+ *
+ * @param  {object}       options.rules    Rules to probe
+ * @param  {any}          [options.seed]   Initial data (or fixture file path)
+ * @param  {object}       options.users    Map of user name to their claims (null for a guest)
+ * @param  {array}        options.paths    List of locations to probe
+ * @param  {array}        [options.ops]    Operations to probe (read, set, update and remove by default)
+ * @return {{users: string[], paths: string[], ops: string[], results: array}}
+ */
+exports.report = function({rules, seed = null, users, paths, ops = exports.operations} = {}) {
+  if (rules == null || users == null || paths == null) {
+    throw new Error('An access report requires rules, users and paths.');
+  }
+
+  const driver = simulated.create();
+  const initial = fixtures.seed(seed);
+  const base = context.create({rules, driver}).startWith(initial);
+  const userNames = Object.keys(users);
+  const locations = paths.map(p => {
+    const location = path.join(typeof p === 'string' ? p : p.path);
+    const current = fixtures.get(initial, location);
+    const defaultValue = current == null ? true : current;
+
+    return {location, value: p.value === undefined ? defaultValue : p.value};
+  });
+
+  const probe = (user, location, value, op) => {
+    const descriptor = exports.descriptor(op, location, value);
+
+    if (descriptor == null) {
+      return {user, path: location, op, outcome: 'n/a'};
+    }
+
+    const claims = users[user];
+    const ctx = claims == null ? base.asGuest() : base.as(user, claims);
+
+    try {
+      driver.exec(matrix.apply(ctx, descriptor));
+    } catch (e) {
+      if (e instanceof errors.OperationError) {
+        return {user, path: location, op, outcome: 'denied'};
+      }
+
+      return {user, path: location, op, outcome: 'error', error: e.message};
+    }
+
+    return {user, path: location, op, outcome: 'allowed'};
+  };
+
+  const results = locations.reduce((list, {location, value}) => list.concat(
+    ...ops.map(op => userNames.map(user => probe(user, location, value, op)))
+  ), []);
+
+  return {users: userNames, paths: locations.map(l => l.location), ops, results};
+};
+
+/**
+ * List the report rows: the outcome of each path and operation for each user.
+ *
+ * @param  {object} report Access report
+ * @return {Array<string[]>}
+ */
+function rows(report) {
+  return report.paths.reduce((list, location) => list.concat(report.ops.map(op => [`/${location}`, op].concat(
+    report.users.map(user => report.results.find(r => r.user === user && r.path === location && r.op === op).outcome)
+  ))), []);
+}
+
+/**
+ * Render an access report as a Markdown table.
+ *
+ * @param  {object} report Access report
+ * @return {string}
+ */
+exports.toMarkdown = function(report) {
+  const header = ['Path', 'Operation'].concat(report.users);
+  const line = cells => `| ${cells.join(' | ')} |`;
+
+  return [line(header), line(header.map(() => '---'))].concat(rows(report).map(line)).join('\n').concat('\n');
+};
+
+/**
+ * Quote a CSV cell if needed.
+ *
+ * @param  {string} cell Cell content
+ * @return {string}
+ */
+function escapeCSV(cell) {
+  if (!/[",\n]/.test(cell)) {
+    return cell;
+  }
+
+  return `"${cell.replace(/"/g, '""')}"`;
+}
+
+/**
+ * Render an access report as CSV.
+ *
+ * @param  {object} report Access report
+ * @return {string}
+ */
+exports.toCSV = function(report) {
+  const header = ['path', 'operation'].concat(report.users);
+
+  return [header].concat(rows(report)).map(cells => cells.map(escapeCSV).join(',')).join('\n').concat('\n');
+};
+
+/**
+ * Render an access report as JSON.
+ *
+ * @param  {object} report Access report
+ * @return {string}
+ */
+exports.toJSON = function(report) {
+  return JSON.stringify(report, null, 2);
+};
+
+/**
+ * Write an access report as Markdown ("access-report.md"), CSV
+ * ("access-report.csv") and JSON ("access-report.json").
+ *
+ * @param {object} report      Access report
+ * @param {string} options.dir Directory to write the report to
+ */
+exports.write = function(report, {dir}) {
+  if (!fs.existsSync(dir)) {
+    fs.mkdirSync(dir);
+  }
+
+  fs.writeFileSync(pathModule.join(dir, 'access-report.md'), exports.toMarkdown(report));
+  fs.writeFileSync(pathModule.join(dir, 'access-report.csv'), exports.toCSV(report));
+  fs.writeFileSync(pathModule.join(dir, 'access-report.json'), `${exports.toJSON(report)}\n`);
+};
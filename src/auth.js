@@ -0,0 +1,89 @@
+'use strict';
+
+/**
+ * Options which are not custom claims.
+ *
+ * @type {string[]}
+ */
+const reserved = ['provider', 'email', 'emailVerified', 'token'];
+
+/**
+ * Providers whose identities are not listed in the token.
+ *
+ * @type {string[]}
+ */
+const noIdentity = ['anonymous', 'custom', 'password'];
+
+/**
+ * Convert a sign-in provider id ("google.com") to the rules "auth.provider"
+ * value ("google").
+ *
+ * @param  {string} signInProvider Sign-in provider id
+ * @return {string}
+ */
+exports.providerName = function(signInProvider) {
+  return signInProvider.replace(/\.com$/, '');
+};
+
+/**
+ * Build the auth payload the rules "auth" variable would hold for a user.
+ *
+ * Options other than `provider`, `email`, `emailVerified` and `token` are
+ * custom claims; they are set in the payload token, and at the payload root
+ * like legacy tokens would.
+ *
+ * @example
+ *   auth.create('bob', {provider: 'google.com', email: 'bob@example.com', admin: true});
+ *   // {
+ *   //   uid: 'bob',
+ *   //   provider: 'google',
+ *   //   admin: true,
+ *   //   token: {
+ *   //     sub: 'bob',
+ *   //     admin: true,
+ *   //     email: 'bob@example.com',
+ *   //     email_verified: false,
+ *   //     firebase: {
+ *   //       sign_in_provider: 'google.com',
+ *   //       identities: {'google.com': ['bob'], email: ['bob@example.com']}
+ *   //     }
+ *   //   }
+ *   // }
+ *
+ * @param  {string}  uid                     User uid
+ * @param  {object}  [opts]                  User options and custom claims
+ * @param  {string}  [opts.provider]         Sign-in provider ("custom" by default, "password" if an email is set)
+ * @param  {string}  [opts.email]            User email
+ * @param  {boolean} [opts.emailVerified]    Is the user email verified (false by default)
+ * @param  {object}  [opts.token]            Extra token fields (e.g. name or phone_number)
+ * @return {object}
+ */
+exports.create = function(uid, opts = {}) {
+  const {email, emailVerified = false, token = {}} = opts;
+  const {provider = email == null ? 'custom' : 'password'} = opts;
+  const claims = Object.keys(opts)
+    .filter(key => reserved.indexOf(key) === -1)
+    .reduce((obj, key) => Object.assign(obj, {[key]: opts[key]}), {});
+  const identities = {};
+
+  if (noIdentity.indexOf(provider) === -1) {
+    identities[provider] = [uid];
+  }
+
+  if (email != null) {
+    identities.email = [email];
+  }
+
+  const firebase = {sign_in_provider: provider, identities};
+  const userToken = Object.assign({sub: uid}, claims, token, {firebase});
+
+  if (email != null) {
+    Object.assign(userToken, {email, email_verified: emailVerified});
+  }
+
+  return Object.assign({}, claims, {
+    uid,
+    provider: exports.providerName(provider),
+    token: userToken
+  });
+};
@@ -0,0 +1,193 @@
+'use strict';
+
+const fs = require('fs');
+const logger = require('firebase-bolt/lib/logger');
+const parser = require('firebase-bolt');
+const path = require('./path');
+
+/**
+ * Bolt files extension.
+ *
+ * @type {string}
+ */
+exports.extension = `.${parser.FILE_EXTENSION}`;
+
+/**
+ * Bolt declarations of compiled rules, by rules object.
+ *
+ * @type {WeakMap<object,array>}
+ */
+const sources = new WeakMap();
+
+/**
+ * Find the source location of a Bolt compile error.
+ *
+ * Syntax errors are prefixed with their location ("bolt:line:column: ...");
+ * missing type errors are located at the first reference to the type.
+ *
+ * @param  {string} source  Bolt source
+ * @param  {string} message Bolt error message
+ * @return {{line: number, column: number, message: string}}
+ */
+function locateError(source, message) {
+  const syntax = /^bolt:(\d+):(\d+): (.*)$/.exec(message);
+
+  if (syntax != null) {
+    return {line: Number(syntax[1]), column: Number(syntax[2]), message: syntax[3]};
+  }
+
+  const missing = /^No type definition for: (\w+)/.exec(message);
+  const lines = source.split('\n');
+  const pattern = missing == null ? null : new RegExp(`\\b${missing[1]}\\b`);
+  const references = lines.map(text => text.replace(/^\s*type\s+\w+/, decl => ' '.repeat(decl.length)));
+  const line = pattern == null ? -1 : references.findIndex(text => pattern.test(text));
+
+  if (line === -1) {
+    return {message: message.replace(/^bolt: /, '')};
+  }
+
+  return {line: line + 1, column: references[line].search(pattern) + 1, message};
+}
+
+/**
+ * List the top level path and type declarations of a Bolt source.
+ *
+ * @param  {string} source Bolt source
+ * @param  {string} file   Bolt file name
+ * @return {Array<{kind: string, name: string, line: number, text: string}>}
+ */
+function declarations(source, file) {
+  return source.split('\n').reduce((list, text, index) => {
+    const match = /^\s*(path|type)\s+(\S+)/.exec(text);
+
+    if (match == null) {
+      return list;
+    }
+
+    return list.concat({
+      kind: match[1],
+      name: match[2].replace(/\{$/, ''),
+      line: index + 1,
+      text: `${file}:${index + 1}: ${text.trim().replace(/\s*\{$/, '')}`
+    });
+  }, []);
+}
+
+/**
+ * Render a Bolt path template.
+ *
+ * @param  {array} parts Path template parts ({label, variable})
+ * @return {string}
+ */
+function template(parts) {
+  return `/${parts.map(p => {
+    if (p.variable == null) {
+      return p.label;
+    }
+
+    return `{${p.variable}}`;
+  }).join('/')}`;
+}
+
+/**
+ * Map the rules locations of Bolt path statements to their declaration (and
+ * to the declaration of their type).
+ *
+ * @param  {object} symbols Parsed Bolt source
+ * @param  {array}  decls   Bolt source declarations
+ * @return {Array<{labels: string[], sources: string[]}>}
+ */
+function sourceMap(symbols, decls) {
+  const find = (kind, name) => decls.find(d => d.kind === kind && d.name === name);
+
+  return symbols.paths.map(statement => {
+    const labels = statement.template.parts.map(p => p.label);
+    const pathDecl = find('path', template(statement.template.parts));
+    const typeDecl = statement.isType == null ? null : find('type', statement.isType.name);
+
+    return {labels, sources: [pathDecl, typeDecl].filter(d => d != null).map(d => d.text)};
+  }).filter(entry => entry.sources.length > 0);
+}
+
+/**
+ * Compile Bolt rules.
+ *
+ * Compile errors report the file, line and column of the Bolt source.
+ *
+ * @param  {string} source        Bolt source
+ * @param  {string} [options.file] Bolt file name
+ * @return {object}
+ */
+exports.compile = function(source, {file = 'rules.bolt'} = {}) {
+  let rules, symbols;
+
+  logger.reset();
+  logger.silent();
+
+  try {
+    symbols = parser.parse(source);
+    rules = parser.generate(symbols);
+  } catch (e) {
+    const {line, column, message} = locateError(source, e.message);
+    const at = line == null ? '' : ` (line ${line}, column ${column})`;
+    const err = new Error(`Failed to compile "${file}"${at}: ${message}`);
+
+    Object.assign(err, {file, line, column});
+
+    throw err;
+  } finally {
+    logger.reset();
+  }
+
+  sources.set(rules, sourceMap(symbols, declarations(source, file)));
+
+  return rules;
+};
+
+/**
+ * Load and compile a Bolt rules file.
+ *
+ * @param  {string} filePath Path to the Bolt file (relative to the current directory)
+ * @return {object}
+ */
+exports.load = function(filePath) {
+  if (!fs.existsSync(filePath)) {
+    throw new Error(`Bolt file "${filePath}" not found.`);
+  }
+
+  return exports.compile(fs.readFileSync(filePath, 'utf8'), {file: filePath});
+};
+
+/**
+ * List the Bolt declarations of the rules applying to a location.
+ *
+ * It returns the declarations of the deepest Bolt path statement matching the
+ * location (or one of its parent), and of its type; it returns an empty list
+ * if the rules were not compiled from Bolt.
+ *
+ * @param  {object}       rules Compiled rules
+ * @param  {string|array} paths Location to find the declarations of
+ * @return {string[]}
+ */
+exports.locate = function(rules, paths) {
+  const map = rules == null ? null : sources.get(rules);
+
+  if (map == null) {
+    return [];
+  }
+
+  const location = path.join(paths);
+  const keys = location === '' ? [] : location.split('/');
+  const matches = labels => labels.length <= keys.length && labels.every(
+    (label, i) => label.startsWith('$') || label === keys[i]
+  );
+  const deepest = map.filter(entry => matches(entry.labels)).reduce((result, entry) => {
+    if (result != null && result.labels.length >= entry.labels.length) {
+      return result;
+    }
+
+    return entry;
+  }, null);
+
+  return deepest == null ? [] : deepest.sources;
+};
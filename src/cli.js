@@ -0,0 +1,143 @@
+'use strict';
+
+const access = require('./access');
+const fixtures = require('./fixtures');
+const regression = require('./regression');
+const rulesModule = require('./rules');
+
+const usage = `Usage: firebase-test <command> [options]
+
+Commands:
+  access-report  Probe read, set, update and remove access of users to paths
+  diff-rules     List the sequences whose outcome changed between two versions of the rules
+
+access-report options:
+  --rules <file>   Rules JSON or Bolt file (required)
+  --users <file>   JSON file mapping user names to their claims, or null for a guest (required)
+  --path <path>    Path to probe (repeatable, required)
+  --seed <file>    Initial data JSON file
+  --out <dir>      Write the report as Markdown, CSV and JSON to that directory
+  --format <fmt>   Format printed when --out is not set: markdown (default), csv or json
+
+diff-rules options:
+  --before <file>  Previous rules file (required)
+  --after <file>   New rules file (required)
+  --suite <file>   Module exporting a function returning the sequences to compare (required)
+  --format <fmt>   Output format: text (default) or json
+
+diff-rules exits with 1 if any sequence changed.
+`;
+
+/**
+ * Parse command line arguments.
+ *
+ * Options are "--name value" pairs; repeated options are collected in a list.
+ *
+ * @param  {string[]} argv Arguments (without the node and script paths)
+ * @return {{command: string, options: object}}
+ */
+exports.parse = function(argv) {
+  const [command, ...rest] = argv;
+  const options = {};
+
+  for (let i = 0; i < rest.length; i += 2) {
+    const flag = rest[i];
+    const value = rest[i + 1];
+
+    if (!flag.startsWith('--') || value === undefined) {
+      throw new Error(`Invalid argument "${flag}".`);
+    }
+
+    const name = flag.slice(2);
+
+    options[name] = options[name] === undefined ? value : [].concat(options[name], value);
+  }
+
+  return {command, options};
+};
+
+/**
+ * Commands, by name.
+ *
+ * Each command receives the parsed options and an output stream, and returns
+ * the process exit code.
+ *
+ * @type {object}
+ */
+const commands = {
+
+  'access-report'({rules, users, path: paths, seed, out, format = 'markdown'}, stdout) {
+    if (rules == null || users == null || paths == null) {
+      throw new Error('access-report requires --rules, --users and --path.');
+    }
+
+    const report = access.report({
+      rules: rulesModule.load(rules),
+      users: fixtures.load(users),
+      seed: seed == null ? null : fixtures.load(seed),
+      paths: [].concat(paths)
+    });
+
+    if (out != null) {
+      access.write(report, {dir: out});
+      stdout.write(`Access report written to "${out}".\n`);
+
+      return 0;
+    }
+
+    const render = {markdown: access.toMarkdown, csv: access.toCSV, json: r => `${access.toJSON(r)}\n`}[format];
+
+    if (render == null) {
+      throw new Error(`Unknown format "${format}".`);
+    }
+
+    stdout.write(render(report));
+
+    return 0;
+  },
+
+  'diff-rules'({before, after, suite: suiteFile, format = 'text'}, stdout) {
+    if (before == null || after == null || suiteFile == null) {
+      throw new Error('diff-rules requires --before, --after and --suite.');
+    }
+
+    const render = {text: regression.toText, json: r => `${regression.toJSON(r)}\n`}[format];
+
+    if (render == null) {
+      throw new Error(`Unknown format "${format}".`);
+    }
+
+    const report = regression.diff({before, after, suiteFile});
+
+    stdout.write(render(report));
+
+    return report.changed > 0 ? 1 : 0;
+  }
+
+};
+
+/**
+ * Run the firebase-test command line.
+ *
+ * @param  {string[]} argv            Arguments (without the node and script paths)
+ * @param  {object}   [options.stdout] Output stream (default to `process.stdout`)
+ * @param  {object}   [options.stderr] Error stream (default to `process.stderr`)
+ * @return {number}
+ */
+exports.main = function(argv, {stdout = process.stdout, stderr = process.stderr} = {}) {
+  try {
+    const {command, options} = exports.parse(argv);
+
+    if (command == null || command === '--help' || commands[command] == null) {
+      stderr.write(usage);
+
+      return command === '--help' ? 0 : 1;
+    }
+
+    return commands[command](options, stdout);
+  } catch (e) {
+    stderr.write(`${e.message}\n`);
+
+    return 1;
+  }
+};
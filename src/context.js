@@ -1,8 +1,21 @@
 'use strict';
 
-const {thenable} = require('./promise');
+const {thenable, all} = require('./promise');
+const authHelper = require('./auth');
+const data = require('./data');
+const errors = require('./errors');
+const fixtures = require('./fixtures');
+const fuzz = require('./fuzz');
+const matrix = require('./matrix');
 const path = require('./path');
+const snapshot = require('./snapshot');
 
+/**
+ * Report a sequence failing `Context#ok` assertion.
+ *
+ * If an operation outcome was unexpected, the error also holds the operation
+ * details (see `errors.OperationError`).
+ */
 class FailureError extends Error {
 
   constructor(msg, error) {
@@ -11,6 +24,12 @@ class FailureError extends Error {
     super(`${msg}: ${isError ? error.stack : error}`);
 
     this.original = error;
+
+    if (error instanceof errors.OperationError) {
+      errors.operationDetails.forEach(key => {
+        this[key] = error[key];
+      });
+    }
   }
 
 }
@@ -27,7 +46,7 @@ function noop() {}
  */
 class Context {
 
-  constructor({rules, driver} = {}) {
+  constructor({rules, driver, users = {}, strictUsers = false} = {}) {
     if (rules == null) {
       throw new Error('No rules provided.');
     }
@@ -39,13 +58,28 @@ class Context {
     this.driver = driver;
     this.rules = rules;
     this.ops = [];
+    this.expectations = [];
     this.auth = null;
     this.seed = null;
+    this.time = null;
+    this.users = Object.assign({}, users);
+    this.strictUsers = strictUsers;
 
     // setup driver with this ctx
     this.driver.init(this);
   }
 
+  /**
+   * Can the sequence run concurrently with other sequences (see `all.withOptions`)?
+   *
+   * Only if the driver says it is safe.
+   *
+   * @return {boolean}
+   */
+  get concurrent() {
+    return this.driver.concurrent === true;
+  }
+
   /**
    * Fork the sequence.
    *
@@ -63,30 +97,140 @@ class Context {
       rules,
 
       // copy the sequence
-      ops: this.ops.slice()
+      ops: this.ops.slice(),
+      expectations: this.expectations.slice()
 
     });
   }
 
+  /**
+   * Fork the sequence to run it against other rules.
+   *
+   * The operations are left unchanged; the driver is initialized with the new
+   * rules.
+   *
+   * @param  {object} rules Rules to run the sequence against
+   * @return {Context}
+   */
+  withRules(rules) {
+    if (rules == null) {
+      throw new Error('No rules provided.');
+    }
+
+    const fork = this.fork();
+
+    fork.rules = rules;
+    this.driver.init(fork);
+
+    return fork;
+  }
+
   /**
    * Set database initial data.
    *
-   * @param  {any} seed Initial data
+   * The seed can be the initial data, a path to a JSON fixture file or a list
+   * of paths to fixture files to deep merge in order. Fixture files can use
+   * the firebase JSON format (which tolerates comments); their path must end
+   * with ".json", other strings are taken for primitive values.
+   *
+   * @example
+   *   suite.startWith(['fixtures/base.json', 'fixtures/chat.json']);
+   *   suite.startWith('fixtures/rooms.json', {at: '/room-metadata'});
+   *
+   * @param  {any}          seed         Initial data, fixture path or list of fixture paths
+   * @param  {string|array} [options.at] Location to mount the seed at
    * @return {Context}
    */
-  startWith(seed) {
-    const fork = this.fork({seed});
+  startWith(seed, {at} = {}) {
+    const fork = this.fork({seed: fixtures.seed(seed, {at})});
 
     fork.ops = [];
+    fork.expectations = [];
 
     return fork;
   }
 
+  /**
+   * Fork the context to register a named user.
+   *
+   * `Context#as` will use the registered claims when authenticating the user
+   * by its name. The claims can include a "uid" (default to the name).
+   *
+   * @example
+   *   const suite = fbTest.suite({rules}).defineUser('alice', {admin: true, org: 'x'});
+   *
+   *   suite.as('alice').set('/orgs/x/name', 'X').ok();
+   *
+   * @param  {string} name   User name
+   * @param  {object} claims User options and custom claims (see `Context#as`)
+   * @return {Context}
+   */
+  defineUser(name, claims = {}) {
+    if (!name) {
+      throw new Error('A user fixture requires a name.');
+    }
+
+    return this.fork({users: Object.assign({}, this.users, {[name]: claims})});
+  }
+
+  /**
+   * Fork the context and set a location of the initial data.
+   *
+   * Unlike `Context#startWith`, it keeps the operations of the sequence.
+   *
+   * @example
+   *   const base = suite.startWith('fixtures/rooms.json');
+   *
+   *   base.withData('/rooms/general/locked', true).as('bob').get('/rooms/general').ok();
+   *
+   * @param  {string|array} paths Location to set
+   * @param  {any}          value Location initial value
+   * @return {Context}
+   */
+  withData(paths, value) {
+    return this.fork({seed: fixtures.set(this.seed, paths, value)});
+  }
+
+  /**
+   * Fork the context and remove a location from the initial data.
+   *
+   * @param  {string|array} paths Location to remove
+   * @return {Context}
+   */
+  withoutData(paths) {
+    return this.withData(paths, null);
+  }
+
+  /**
+   * Fork the context and deep merge a patch at a location of the initial
+   * data.
+   *
+   * @param  {string|array} paths Location to patch
+   * @param  {object}       patch Value to merge to the location initial value
+   * @return {Context}
+   */
+  patchData(paths, patch) {
+    return this.fork({seed: fixtures.patch(this.seed, paths, patch)});
+  }
+
   /**
    * Fork the sequence to authenticate the current user.
    *
-   * @param  {string|null} uid    Current user UID
-   * @param  {object|void} [opts] Current user data
+   * The auth payload models the one Firebase would set, with the "provider"
+   * and "token" fields. The options can set the sign-in provider ("provider"),
+   * the user email ("email" and "emailVerified") and extra token fields
+   * ("token"); other options are custom claims, available via "auth.token"
+   * and, like legacy tokens, at the root of "auth".
+   *
+   * If the uid is the name of a registered user (see `Context#defineUser`),
+   * the options extend the registered claims. If the context is strict about
+   * users, it throws if the user is not registered.
+   *
+   * @example
+   *   suite.as('bob', {email: 'bob@example.com', emailVerified: true, admin: true});
+   *
+   * @param  {string|null} uid    Current user UID or name
+   * @param  {object|void} [opts] Current user options and custom claims
    * @return {Context}
    */
   as(uid, opts) {
@@ -94,9 +238,52 @@ class Context {
       return this.asGuest();
     }
 
-    const auth = Object.assign({}, opts, {uid});
+    const registered = Object.prototype.hasOwnProperty.call(this.users, uid);
+    const fixture = registered ? this.users[uid] : undefined;
+
+    if (!registered && this.strictUsers) {
+      throw new Error(`Unknown user "${uid}".`);
+    }
+
+    const claims = Object.assign({}, fixture, opts);
+    const {uid: userId = uid} = claims;
+
+    delete claims.uid;
+
+    return this.fork({auth: authHelper.create(userId, claims)});
+  }
+
+  /**
+   * Fork the sequence to authenticate the current user anonymously.
+   *
+   * @param  {string} [uid] Current user UID ("anonymous" by default)
+   * @return {Context}
+   */
+  asAnonymous(uid = 'anonymous') {
+    return this.fork({auth: authHelper.create(uid, {provider: 'anonymous'})});
+  }
+
+  /**
+   * Fork the sequence to authenticate the current user with a sign-in
+   * provider.
+   *
+   * @example
+   *   suite.asProvider('google.com', {uid: 'bob', email: 'bob@example.com'});
+   *
+   * @param  {string} provider Sign-in provider (e.g. "google.com", "password" or "phone")
+   * @param  {object} claims   User options and claims, including the user "uid"
+   * @return {Context}
+   */
+  asProvider(provider, claims = {}) {
+    const opts = Object.assign({}, claims, {provider});
+
+    if (!claims.uid) {
+      throw new Error('Context#asProvider requires a "uid" claim.');
+    }
+
+    delete opts.uid;
 
-    return this.fork({auth});
+    return this.fork({auth: authHelper.create(claims.uid, opts)});
   }
 
   /**
@@ -108,10 +295,57 @@ class Context {
     return this.fork({auth: null});
   }
 
+  /**
+   * Fork the sequence to run it at a fixed time.
+   *
+   * The time will be used as the rules "now" variable and to resolve server
+   * timestamps. By default the sequence uses the current time.
+   *
+   * The live driver cannot run sequences at a fixed time; it will reject them
+   * with a `SkipError`.
+   *
+   * The time must be after the epoch; the simulator would take a null time for
+   * the current time.
+   *
+   * @param  {number|Date} time Time at the start of the sequence (in ms since epoch)
+   * @return {Context}
+   */
+  atTime(time) {
+    const ts = time instanceof Date ? time.getTime() : time;
+
+    if (typeof ts !== 'number' || isNaN(ts) || ts <= 0) {
+      throw new Error(`Invalid time: ${time}`);
+    }
+
+    return this.fork({time: ts});
+  }
+
+  /**
+   * Enqueue a step moving the clock forward.
+   *
+   * Following operations will be run as if the time had advanced.
+   *
+   * The live driver cannot run sequences with such step; it will reject them
+   * with a `SkipError`.
+   *
+   * @example
+   *   suite.atTime(1000).as('bob').set('/invites/bob', true).advanceTime(3600000).get('/invites/bob').denied().ok();
+   *
+   * @param  {number} ms Time to advance the clock with (in ms)
+   * @return {Context}
+   */
+  advanceTime(ms) {
+    if (typeof ms !== 'number' || isNaN(ms)) {
+      throw new Error(`Invalid time delta: ${ms}`);
+    }
+
+    return this.append({op: 'advanceTime', value: ms});
+  }
+
   /**
    * Fork and add a new operation.
    *
-   * @param  {string}                            options.op      Operation type (get, set, update, push)
+   * @param  {string}                            options.op      Operation type (get, set, update, push, transaction)
    * @param  {string|array}                      options.paths   A path or his segment to join
    * @param  {any}                               options.value   Value to update the database with
    * @param  {{silent: boolean, debug: boolean}} options.options Operation options
@@ -126,6 +360,52 @@ class Context {
     return fork;
   }
 
+  /**
+   * Fork and mark the last operation with its expected outcome.
+   *
+   * @param  {string} expected Expected outcome ("allowed" or "denied")
+   * @return {Context}
+   */
+  mark(expected) {
+    if (this.ops.length === 0) {
+      throw new Error(`No operation to mark as ${expected}.`);
+    }
+
+    const fork = this.fork();
+    const last = fork.ops.length - 1;
+
+    fork.ops[last] = Object.assign({}, fork.ops[last], {expected});
+
+    return fork;
+  }
+
+  /**
+   * Fork and mark the last operation as expected to be allowed.
+   *
+   * The sequence will fail if the operation is denied. It is the default for
+   * operations without marker.
+   *
+   * @return {Context}
+   */
+  allowed() {
+    return this.mark('allowed');
+  }
+
+  /**
+   * Fork and mark the last operation as expected to be denied.
+   *
+   * The sequence will carry on after the operation is denied (the database is
+   * left unchanged) and will fail if it is allowed.
+   *
+   * @example
+   *   suite.as('bob').set('/users/alice', 'bob').denied().set('/users/bob', 'bob').ok();
+   *
+   * @return {Context}
+   */
+  denied() {
+    return this.mark('denied');
+  }
+
   /**
    * Enqueue a fetch operation of the database location.
    *
@@ -135,6 +415,13 @@ class Context {
    * The database location can be given as path (e.g "\`/users/${uid}\`") or an
    * array of path fragment (e.g. "['/users', uid]").
    *
+   * The options can include query parameters (orderByChild, orderByKey,
+   * orderByValue, orderByPriority, startAt, endAt, equalTo, limitToFirst and
+   * limitToLast); they will be available to the rules via the "query"
+   * variable. Ordering by child or by value requires an ".indexOn" rule.
+   *
+   * @example
+   *   suite.as('bob').get('/messages', {orderByChild: 'sentAt', limitToLast: 10}).ok();
    *
    * @param  {string|array} paths  Database location
    * @param  {Object}       [opts] Query options
@@ -189,6 +476,30 @@ class Context {
     return this.append({op: 'push', paths, value, options: opts});
   }
 
+  /**
+   * Enqueue a transaction updating a database location using its current
+   * value.
+   *
+   * The current user should be allowed to read and to write the location.
+   * The transaction is aborted (only the read is tested) if the update
+   * function returns undefined.
+   *
+   * @example
+   *   suite.as('bob').transaction('/votes/count', count => (count || 0) + 1).ok();
+   *
+   * @param  {string|array}       paths  Database location
+   * @param  {function(any): any} update Function receiving the current value and returning the new one
+   * @param  {Object}             [opts] Query options
+   * @return {Context}
+   */
+  transaction(paths, update, opts = {}) {
+    if (typeof update !== 'function') {
+      throw new Error('A transaction requires an update function.');
+    }
+
+    return this.append({op: 'transaction', paths, value: update, options: opts});
+  }
+
   /**
    * Enqueue an operation to remove a database location.
    *
@@ -203,14 +514,73 @@ class Context {
     return this.append({op: 'set', paths, value: null, options: opts});
   }
 
+  /**
+   * Fork and add an assertion on the database content at the end of the
+   * sequence.
+   *
+   * The expected value can be the data the location should hold or a
+   * predicate called with the location data and returning true if it is
+   * valid.
+   *
+   * The data are compared the way Firebase would store them (arrays are
+   * stored as objects and empty objects are removed).
+   *
+   * @param  {string|array} paths    Database location
+   * @param  {any|function} expected Expected data or predicate
+   * @return {Context}
+   */
+  expectData(paths, expected) {
+    const fork = this.fork();
+
+    fork.expectations.push({path: path.join(paths), expected});
+
+    return fork;
+  }
+
+  /**
+   * Fork and add an assertion that the database content at the end of the
+   * sequence matches a saved snapshot.
+   *
+   * Snapshots are saved in a "__snapshots__" directory next to the test file;
+   * a missing snapshot is saved on the first run (unless running on a CI
+   * service). Set FIREBASE_TEST_UPDATE_SNAPSHOTS to rewrite them.
+   *
+   * Push IDs and server timestamps are replaced with placeholders to keep the
+   * snapshots stable.
+   *
+   * @param  {string} name           Snapshot name (unique within the test file)
+   * @param  {string} [options.file] Test file (default to the calling file)
+   * @return {Context}
+   */
+  matchSnapshot(name, {file = snapshot.callerFile()} = {}) {
+    if (!name) {
+      throw new Error('A snapshot requires a name.');
+    }
+
+    const snapshotFile = snapshot.file(file);
+    const fork = this.fork();
+
+    fork.expectations.push({
+      path: '',
+      assert: actual => snapshot.match(actual, {name, file: snapshotFile})
+    });
+
+    return fork;
+  }
+
   /**
    * Run the Operation in sequence.
    *
+   * Once the operations completed, it checks the database content matches
+   * the data assertions; it would reject with a `DataError` if it doesn't.
+   *
    * @return {Promise<any,Error>}
    */
   chain() {
     return new Promise(
       resolve => resolve(this.driver.exec(this))
+    ).then(
+      result => data.check(result, this.expectations)
     );
   }
 
@@ -236,6 +606,108 @@ class Context {
     return this.chain().catch(onRejected);
   }
 
+  /**
+   * Test a permission matrix: the expected outcome of each operation for
+   * each user.
+   *
+   * Each cell of the matrix runs as its own sequence (using `all`). It
+   * reports every cell whose outcome differs from the expected one with a
+   * `MatrixError`, rendering the outcomes as a grid.
+   *
+   * Like `Context#ok`, it returns a thenable object unless a callback is
+   * provided.
+   *
+   * @example
+   *   suite.startWith(seed).matrix({
+   *     users: {alice: {admin: true}, bob: {}, guest: null},
+   *     ops: {
+   *       read: {op: 'get', path: '/orgs/x'},
+   *       rename: {op: 'set', path: '/orgs/x/name', value: 'X'}
+   *     },
+   *     expect: {
+   *       alice: {read: 'allow', rename: 'allow'},
+   *       bob: {read: 'allow', rename: 'deny'},
+   *       guest: {read: 'deny', rename: 'deny'}
+   *     }
+   *   });
+   *
+   * @param  {object}                      options.users  Map of user name to their claims (see `Context#as`), or null for a guest
+   * @param  {object}                      options.ops    Map of operation name to their descriptor ({op, path, value, options})
+   * @param  {object}                      options.expect Map of user name to a map of operation name to "allow" or "deny"
+   * @param  {function(err: ?Error): void} options.done   Async callback
+   * @return {void|Promise<void,Error>}
+   */
+  matrix({users, ops, expect, done} = {}) {
+    const cells = matrix.expand({users, ops, expect});
+    const sequences = cells.map(cell => thenable(() => {
+      const claims = users[cell.user];
+      const ctx = claims == null ? this.asGuest() : this.as(cell.user, claims);
+
+      return matrix.apply(ctx, ops[cell.op]).mark(cell.expected).then(
+        noop,
+        err => Promise.reject(new matrix.CellError(cell, err))
+      );
+    }, {concurrent: this.concurrent}));
+
+    const errorsOf = report => report.results.filter(r => r.status !== 'passed').map(r => r.error);
+
+    return thenable(() => all(sequences).then(
+      report => {
+        const skipped = errorsOf(report);
+
+        return skipped.length === 0 ? undefined : Promise.reject(skipped[0].original);
+      },
+      err => Promise.reject(err.report == null ? err : new matrix.MatrixError(cells, errorsOf(err.report)))
+    ), {concurrent: this.concurrent}).asCallback(done);
+  }
+
+  /**
+   * Write many generated payloads at a location and check the rules accept
+   * the valid ones only (see `fuzz.run`).
+   *
+   * Each payload is written after the sequence operations, by the user `as`
+   * (see `Context#as`; the current user by default, null for a guest). The
+   * run fails with a `FuzzError` holding the first failing payload, shrunk to
+   * a minimal example, and the seed reproducing it (FIREBASE_TEST_FUZZ_SEED
+   * sets the seed of every run).
+   *
+   * It requires the simulated driver; other drivers reject it with a
+   * `SkipError`. Like `Context#ok`, it returns a thenable object unless a
+   * callback is provided.
+   *
+   * @example
+   *   suite.fuzz('/users/bob/age', {
+   *     as: 'bob',
+   *     generator: fbTest.fuzz.oneOf(fbTest.fuzz.integer(), fbTest.fuzz.string()),
+   *     valid: age => Number.isInteger(age) && age >= 0
+   *   });
+   *
+   * @param  {string|array}                paths            Location to fuzz
+   * @param  {object}                      [opts]           Fuzzing options (see `fuzz.run`)
+   * @param  {string|null}                 [opts.as]        User writing the payloads
+   * @param  {function}                    [opts.generator] Payload generator (see `fuzz` generators)
+   * @param  {number}                      [opts.runs]      Number of payloads to test (100 by default)
+   * @param  {number}                      [opts.seed]      Random number generator seed
+   * @param  {string}                      [opts.op]        Write operation ("set" or "update")
+   * @param  {function(any): boolean}      [opts.valid]     Predicate telling if a payload should be valid
+   * @param  {function(any, object): any}  [opts.invariant] Assertion on the written value
+   * @param  {function(err: ?Error): void} [opts.done]      Async callback
+   * @return {void|Promise<object,Error>}
+   */
+  fuzz(paths, opts = {}) {
+    const {as: user, done} = opts;
+
+    return thenable(() => {
+      if (this.driver.id !== 'targaryen') {
+        return Promise.reject(new errors.SkipError('fuzzing requires the simulated driver'));
+      }
+
+      const ctx = user === undefined ? this : this.as(user);
+
+      return fuzz.run(ctx, paths, opts);
+    }, {message: `Fuzzing "/${path.join(paths)}"`, concurrent: this.concurrent}).asCallback(done);
+  }
+
   /**
    * Add to the sequence an assertion that no operation should failed.
    *
@@ -251,13 +723,20 @@ class Context {
    */
   ok({msg = 'Operation should not have failed', done} = {}) {
     return thenable(
-      () => this.catch(err => Promise.reject(new FailureError(msg, err)))
+      () => this.catch(err => Promise.reject(
+        err instanceof errors.SkipError ? err : new FailureError(msg, err)
+      )),
+      {message: msg, concurrent: this.concurrent}
     ).asCallback(done);
   }
 
   /**
    * Add to the sequence an assertion that one of the operation should failed.
    *
+   * A `DataError` reported by the data assertions (see `Context#expectData`)
+   * or a `SkipError` do not count as the expected failure; they are reported
+   * as is.
+   *
    * if a callback is provided the sequence will be run and the callback will be
    * called at the end with an eventual error.
    *
@@ -271,8 +750,14 @@ class Context {
   shouldFail({msg = 'Operation should have failed', done} = {}) {
     return thenable(() => this.then(
       () => Promise.reject(new Error(msg)),
-      noop
-    )).asCallback(done);
+      err => {
+        if (err instanceof data.DataError || err instanceof errors.SkipError) {
+          return Promise.reject(err);
+        }
+
+        return noop();
+      }
+    ), {message: msg, concurrent: this.concurrent}).asCallback(done);
   }
 
 }
@@ -0,0 +1,502 @@
+'use strict';
+
+const env = require('./env');
+const fs = require('fs');
+const hash = require('object-hash');
+const path = require('./path');
+const pathModule = require('path');
+const query = require('./query');
+const ruleset = require('./ruleset');
+
+/**
+ * Coverage of each rules definition, by rules hash.
+ *
+ * @type {Map<string,RulesCoverage>}
+ */
+const trackers = new Map();
+
+/**
+ * Coverage of each rules definition, by rules object.
+ *
+ * @type {WeakMap<object,RulesCoverage>}
+ */
+let trackersByRules = new WeakMap();
+let enabled = false;
+
+/**
+ * Processes the report is already hooked to.
+ *
+ * @type {WeakSet<object>}
+ */
+const hooked = new WeakSet();
+
+/**
+ * Test a rule always evaluates to the same value.
+ *
+ * @param  {string}  rule Rule source
+ * @return {boolean}
+ */
+function isConstant(rule) {
+  return ['true', 'false'].indexOf(rule.trim()) > -1;
+}
+
+/**
+ * Format a ratio as a percentage.
+ *
+ * @param  {number} covered Number of items covered
+ * @param  {number} total   Number of items
+ * @return {number}
+ */
+function percent(covered, total) {
+  if (total === 0) {
+    return 100;
+  }
+
+  return Math.floor(covered / total * 10000) / 100;
+}
+
+/**
+ * Summarize a list of rule coverage entries.
+ *
+ * Every rule should be evaluated ("rules"); non constant ".read", ".write" and
+ * ".validate" rules should also be evaluated to true and to false
+ * ("outcomes").
+ *
+ * @param  {array} entries List of rule coverage entries
+ * @return {{rules: object, outcomes: object}}
+ */
+function summarize(entries) {
+  const branched = entries.filter(e => e.branches);
+  const rules = {
+    total: entries.length,
+    covered: entries.filter(e => e.hits > 0).length
+  };
+  const outcomes = {
+    total: branched.length * 2,
+    covered: branched.reduce((sum, e) => sum + (e.true > 0 ? 1 : 0) + (e.false > 0 ? 1 : 0), 0)
+  };
+
+  rules.percent = percent(rules.covered, rules.total);
+  outcomes.percent = percent(outcomes.covered, outcomes.total);
+
+  return {rules, outcomes};
+}
+
+/**
+ * Record which rules of a rules definition get evaluated and their outcomes.
+ */
+class RulesCoverage {
+
+  /**
+   * RulesCoverage constructor.
+   *
+   * @param  {object} rules          Rules definition
+   * @param  {string} [options.name] Name of the rules in the report
+   */
+  constructor(rules, {name = 'rules'} = {}) {
+    this.rules = rules;
+    this.name = name;
+    this.entries = new Map();
+
+    ruleset.nodes(rules).forEach(({path: location, node}) => {
+      ruleset.kinds.filter(kind => node[kind] != null).forEach(kind => {
+        const rule = kind === '.indexOn' ? JSON.stringify(node[kind]) : node[kind].toString();
+        const branches = kind !== '.indexOn' && !isConstant(rule);
+
+        this.entries.set(path.child(location, kind), {
+          path: location, kind, rule, branches, hits: 0, true: 0, false: 0, errors: 0
+        });
+      });
+    });
+  }
+
+  /**
+   * Find the coverage entry of a location rule.
+   *
+   * @param  {string} paths Location
+   * @param  {string} kind  Rule kind (".read", ".write", ".validate" or ".indexOn")
+   * @return {object|void}
+   */
+  entry(paths, kind) {
+    const found = ruleset.find(this.rules, paths);
+
+    if (found == null) {
+      return undefined;
+    }
+
+    return this.entries.get(path.child(found.path, kind));
+  }
+
+  /**
+   * Record targaryen evaluation logs.
+   *
+   * @param {array} logs Targaryen result logs ({path, kind, value, error})
+   */
+  record(logs = []) {
+    logs.filter(log => log.kind != null).forEach(({path: location, kind, value, error}) => {
+      const entry = this.entry(location, `.${kind}`);
+
+      if (entry == null) {
+        return;
+      }
+
+      entry.hits += 1;
+
+      if (error != null) {
+        entry.errors += 1;
+      }
+
+      if (error == null && value === true) {
+        entry.true += 1;
+      } else {
+        entry.false += 1;
+      }
+    });
+  }
+
+  /**
+   * Record the use of an index by a query.
+   *
+   * @param {string} paths Location queried
+   * @param {string} index Index used (a child key or ".value")
+   */
+  recordIndex(paths, index) {
+    const entry = this.entry(paths, '.indexOn');
+
+    if (entry != null && query.indexOn(this.rules, paths).indexOf(index) > -1) {
+      entry.hits += 1;
+    }
+  }
+
+  /**
+   * Report the coverage of each rule.
+   *
+   * @return {{name: string, rules: array, summary: object}}
+   */
+  report() {
+    const rules = Array.from(this.entries.values()).map(entry => {
+      let status = 'covered';
+
+      if (entry.hits === 0) {
+        status = 'missed';
+      } else if (entry.branches && (entry.true === 0 || entry.false === 0)) {
+        status = 'partial';
+      }
+
+      return Object.assign({}, entry, {status});
+    });
+
+    return {name: this.name, rules, summary: summarize(rules)};
+  }
+
+}
+
+exports.RulesCoverage = RulesCoverage;
+
+/**
+ * Start recording rules coverage.
+ */
+exports.start = function() {
+  enabled = true;
+};
+
+/**
+ * Stop recording rules coverage.
+ */
+exports.stop = function() {
+  enabled = false;
+};
+
+/**
+ * Clear recorded coverage.
+ */
+exports.reset = function() {
+  trackers.clear();
+  trackersByRules = new WeakMap();
+};
+
+/**
+ * Is the rules coverage recorded?
+ *
+ * @return {boolean}
+ */
+exports.isEnabled = function() {
+  return enabled;
+};
+
+/**
+ * Return the coverage tracker of a rules definition.
+ *
+ * A rules object is only hashed the first time it is tracked; equal rules
+ * definitions (e.g. a rules file loaded by each suite) share their tracker.
+ *
+ * @param  {object} rules          Rules definition
+ * @param  {string} [options.name] Name of the rules in the report
+ * @return {RulesCoverage}
+ */
+exports.track = function(rules, {name} = {}) {
+  const tracker = trackersByRules.get(rules);
+
+  if (tracker != null) {
+    return tracker;
+  }
+
+  const key = hash(rules);
+
+  if (!trackers.has(key)) {
+    trackers.set(key, new RulesCoverage(rules, {name: name || `rules-${key.slice(0, 8)}`}));
+  }
+
+  trackersByRules.set(rules, trackers.get(key));
+
+  return trackers.get(key);
+};
+
+/**
+ * Record targaryen evaluation logs, if coverage is enabled.
+ *
+ * @param {object} rules Rules definition evaluated
+ * @param {array}  logs  Targaryen result logs
+ */
+exports.record = function(rules, logs) {
+  if (enabled) {
+    exports.track(rules).record(logs);
+  }
+};
+
+/**
+ * Record the use of an index, if coverage is enabled.
+ *
+ * @param {object} rules Rules definition evaluated
+ * @param {string} paths Location queried
+ * @param {string} index Index used (a child key or ".value")
+ */
+exports.recordIndex = function(rules, paths, index) {
+  if (enabled && index != null) {
+    exports.track(rules).recordIndex(paths, index);
+  }
+};
+
+/**
+ * Report the coverage of every rules definition evaluated.
+ *
+ * @return {{files: array, summary: object}}
+ */
+exports.report = function() {
+  const files = Array.from(trackers.values()).map(tracker => tracker.report());
+  const summary = summarize(files.reduce((all, file) => all.concat(file.rules), []));
+
+  return {files, summary};
+};
+
+/**
+ * Render a coverage report as a text summary, listing rules never evaluated
+ * and rules never evaluated to both true and false.
+ *
+ * @param  {object} report Coverage report
+ * @return {string}
+ */
+exports.toText = function(report) {
+  const describe = r => `    /${path.child(r.path, r.kind)}: ${r.rule}`;
+  const total = ({covered, total: count, percent: pct}) => `${covered}/${count} (${pct}%)`;
+  const lines = ['Rules coverage'];
+
+  report.files.forEach(file => {
+    const missed = file.rules.filter(r => r.status === 'missed');
+    const partial = file.rules.filter(r => r.status === 'partial');
+
+    lines.push(`  ${file.name}: rules ${total(file.summary.rules)}, outcomes ${total(file.summary.outcomes)}`);
+
+    if (missed.length > 0) {
+      lines.push('  Never evaluated:');
+      missed.forEach(r => lines.push(describe(r)));
+    }
+
+    if (partial.length > 0) {
+      lines.push('  Never evaluated to both true and false:');
+      partial.forEach(r => lines.push(`${describe(r)} (true: ${r.true}, false: ${r.false})`));
+    }
+  });
+
+  lines.push(`  Total: rules ${total(report.summary.rules)}, outcomes ${total(report.summary.outcomes)}`);
+
+  return lines.join('\n');
+};
+
+/**
+ * Render a coverage report as JSON.
+ *
+ * @param  {object} report Coverage report
+ * @return {string}
+ */
+exports.toJSON = function(report) {
+  return JSON.stringify(report, null, 2);
+};
+
+/**
+ * Render a coverage report in a lcov like format.
+ *
+ * Rules have no line numbers; each rule is reported as a function named after
+ * its path and kind, at a line matching its position in the rules definition.
+ * Non constant rules report their true and false outcomes as branches.
+ *
+ * @param  {object} report Coverage report
+ * @return {string}
+ */
+exports.toLcov = function(report) {
+  return report.files.map(file => {
+    const lines = ['TN:', `SF:${file.name}`];
+    const name = r => `/${path.child(r.path, r.kind)}`;
+
+    file.rules.forEach((r, i) => lines.push(`FN:${i + 1},${name(r)}`));
+    file.rules.forEach(r => lines.push(`FNDA:${r.hits},${name(r)}`));
+    lines.push(`FNF:${file.summary.rules.total}`, `FNH:${file.summary.rules.covered}`);
+
+    file.rules.forEach((r, i) => {
+      if (r.branches) {
+        lines.push(`BRDA:${i + 1},0,0,${r.hits === 0 ? '-' : r.true}`);
+        lines.push(`BRDA:${i + 1},0,1,${r.hits === 0 ? '-' : r.false}`);
+      }
+    });
+    lines.push(`BRF:${file.summary.outcomes.total}`, `BRH:${file.summary.outcomes.covered}`);
+
+    file.rules.forEach((r, i) => lines.push(`DA:${i + 1},${r.hits}`));
+    lines.push(`LF:${file.summary.rules.total}`, `LH:${file.summary.rules.covered}`);
+
+    return lines.concat('end_of_record').join('\n');
+  }).join('\n').concat('\n');
+};
+
+/**
+ * Create a directory and its missing parents.
+ *
+ * @param {string} dir Directory to create
+ */
+function mkdirp(dir) {
+  if (fs.existsSync(dir)) {
+    return;
+  }
+
+  mkdirp(pathModule.dirname(dir));
+  fs.mkdirSync(dir);
+}
+
+/**
+ * Write a coverage report as text ("rules-coverage.txt"), JSON
+ * ("rules-coverage.json") and lcov ("rules-lcov.info").
+ *
+ * @param {object} report      Coverage report
+ * @param {string} options.dir Directory to write the report to (created if missing)
+ */
+exports.write = function(report, {dir}) {
+  mkdirp(dir);
+
+  fs.writeFileSync(pathModule.join(dir, 'rules-coverage.txt'), `${exports.toText(report)}\n`);
+  fs.writeFileSync(pathModule.join(dir, 'rules-coverage.json'), `${exports.toJSON(report)}\n`);
+  fs.writeFileSync(pathModule.join(dir, 'rules-lcov.info'), exports.toLcov(report));
+};
+
+/**
+ * Check a coverage report against a threshold.
+ *
+ * The threshold can be the minimum percentage of rules evaluated, or an object
+ * setting the minimum percentage of rules evaluated ("rules") and of rules
+ * outcomes ("outcomes"). Without threshold, any coverage passes.
+ *
+ * @param  {object}        report      Coverage report
+ * @param  {number|object} [threshold] Minimum coverage percentages
+ */
+exports.check = function(report, threshold) {
+  if (threshold == null) {
+    return;
+  }
+
+  const minimums = typeof threshold === 'object' ? threshold : {rules: threshold};
+  const failures = Object.keys(minimums)
+    .filter(key => minimums[key] != null && report.summary[key].percent < minimums[key])
+    .map(key => `${key} ${report.summary[key].percent}% < ${minimums[key]}%`);
+
+  if (failures.length > 0) {
+    throw new Error(`Rules coverage below threshold: ${failures.join(', ')}.`);
+  }
+};
+
+/**
+ * Parse a coverage threshold environment variable.
+ *
+ * @param  {string} name  Variable name
+ * @param  {string} value Variable value
+ * @return {number|void}
+ */
+function parseThreshold(name, value) {
+  if (value == null) {
+    return undefined;
+  }
+
+  const pct = Number(value);
+
+  if (value.trim() === '' || isNaN(pct)) {
+    throw new Error(`Invalid ${name} "${value}"; it should be a percentage.`);
+  }
+
+  return pct;
+}
+
+/**
+ * Enable coverage using environment variables.
+ *
+ * If FIREBASE_TEST_COVERAGE is set to a directory, the coverage is recorded and
+ * the report is written to that directory when the process exits.
+ * FIREBASE_TEST_COVERAGE_THRESHOLD and FIREBASE_TEST_COVERAGE_OUTCOMES_THRESHOLD
+ * set the minimum percentage of rules evaluated and of rules outcomes; the
+ * process exits with an error code if the coverage is below, or if the
+ * report cannot be written. A non numeric threshold throws.
+ *
+ * The report is only hooked once to a process; later calls do nothing.
+ *
+ * @param  {object}  [options.src]     Environment variables (default to `process.env`)
+ * @param  {object}  [options.process] Process to hook the report to
+ * @param  {object}  [options.console] Console to print the report summary to
+ * @return {boolean}
+ */
+exports.setup = function({src = process.env, process: proc = process, console: out = console} = {}) {
+  const opts = env.filter({src});
+  const dir = opts.coverage;
+
+  if (dir == null || dir === '') {
+    return false;
+  }
+
+  if (hooked.has(proc)) {
+    return true;
+  }
+
+  const threshold = {
+    rules: parseThreshold('FIREBASE_TEST_COVERAGE_THRESHOLD', opts.coverageThreshold),
+    outcomes: parseThreshold('FIREBASE_TEST_COVERAGE_OUTCOMES_THRESHOLD', opts.coverageOutcomesThreshold)
+  };
+
+  hooked.add(proc);
+  exports.start();
+  proc.on('exit', () => {
+    const report = exports.report();
+
+    out.log(exports.toText(report));
+
+    try {
+      exports.write(report, {dir});
+    } catch (e) {
+      out.error(`Failed to write the rules coverage report: ${e.message}`);
+      proc.exitCode = 1;
+    }
+
+    try {
+      exports.check(report, threshold);
+    } catch (e) {
+      out.error(e.message);
+      proc.exitCode = 1;
+    }
+  });
+
+  return true;
+};
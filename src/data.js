@@ -0,0 +1,189 @@
+'use strict';
+
+const path = require('./path');
+
+/**
+ * Report a database location content not matching the expected data.
+ */
+class DataError extends Error {
+
+  /**
+   * DataError constructor.
+   *
+   * @param  {string} location         Location of the data tested
+   * @param  {any}    details.expected Expected data or predicate
+   * @param  {any}    details.actual   Data found at the location
+   * @param  {array}  details.diff     List of differences (see `exports.diff`)
+   * @param  {string} [msg]            Custom message (default to the diff details)
+   */
+  constructor(location, {expected, actual, diff = []}, msg) {
+    super(msg == null ? exports.format(location, diff) : msg);
+
+    this.path = location;
+    this.expected = expected;
+    this.actual = actual;
+    this.diff = diff;
+  }
+
+}
+
+exports.DataError = DataError;
+
+/**
+ * Test a value is a plain object.
+ *
+ * @param  {any}  value Value to test
+ * @return {boolean}
+ */
+function isObject(value) {
+  return value != null && typeof value === 'object';
+}
+
+/**
+ * Convert a value the way Firebase would store it.
+ *
+ * Arrays are converted to objects, null and empty children are removed and
+ * undefined becomes null.
+ *
+ * @param  {any} value Value to normalize
+ * @return {any}
+ */
+exports.normalize = function(value) {
+  if (value === undefined || value === null) {
+    return null;
+  }
+
+  if (!isObject(value)) {
+    return value;
+  }
+
+  const result = Object.keys(value).reduce((obj, key) => {
+    const child = exports.normalize(value[key]);
+
+    if (child !== null) {
+      obj[key] = child;
+    }
+
+    return obj;
+  }, {});
+
+  return Object.keys(result).length === 0 ? null : result;
+};
+
+/**
+ * Return the (normalized) value at a location of a database tree.
+ *
+ * @param  {any}          data  Database tree
+ * @param  {string|array} paths Location of the value
+ * @return {any}
+ */
+exports.child = function(data, paths) {
+  const location = path.join(paths);
+  const value = exports.normalize(data);
+
+  if (location === '') {
+    return value;
+  }
+
+  return location.split('/').reduce((node, key) => {
+    if (!isObject(node) || node[key] === undefined) {
+      return null;
+    }
+
+    return node[key];
+  }, value);
+};
+
+/**
+ * List the differences between two (normalized) values.
+ *
+ * @param  {any}    expected Expected value
+ * @param  {any}    actual   Actual value
+ * @param  {string} [root]   Location of the values
+ * @return {Array<{path: string, expected: any, actual: any}>}
+ */
+exports.diff = function(expected, actual, root = '') {
+  if (isObject(expected) && isObject(actual)) {
+    const keys = Object.keys(Object.assign({}, expected, actual)).sort();
+
+    return keys.reduce(
+      (diff, key) => diff.concat(exports.diff(
+        expected[key] === undefined ? null : expected[key],
+        actual[key] === undefined ? null : actual[key],
+        path.child(root, key)
+      )),
+      []
+    );
+  }
+
+  if (expected === actual) {
+    return [];
+  }
+
+  return [{path: root, expected, actual}];
+};
+
+/**
+ * Render a list of differences, one per line.
+ *
+ * @param  {array} diff List of differences
+ * @return {string}
+ */
+exports.formatDiff = function(diff) {
+  return diff.map(
+    d => `  /${d.path}: expected ${JSON.stringify(d.expected)}, got ${JSON.stringify(d.actual)}`
+  ).join('\n');
+};
+
+/**
+ * Render a list of differences.
+ *
+ * @param  {string} location Location of the data tested
+ * @param  {array}  diff     List of differences
+ * @return {string}
+ */
+exports.format = function(location, diff) {
+  return `Unexpected data at "/${location}":\n${exports.formatDiff(diff)}`;
+};
+
+/**
+ * Check the database tree matches each data expectation.
+ *
+ * An expectation can be a value to compare the location content with, or
+ * a predicate receiving the location content and returning true if it is
+ * valid. An expectation can instead provide an assertion function which
+ * should throw if the location content is invalid.
+ *
+ * @param  {any}   data         Database tree
+ * @param  {array} expectations List of expectations ({path: string, expected: any|function, assert: function})
+ * @return {any}
+ */
+exports.check = function(data, expectations = []) {
+  expectations.forEach(({path: location, expected, assert}) => {
+    const actual = exports.child(data, location);
+
+    if (typeof assert === 'function') {
+      assert(actual);
+
+      return;
+    }
+
+    if (typeof expected === 'function') {
+      if (!expected(actual)) {
+        const msg = `Data at "/${location}" failed the predicate: got ${JSON.stringify(actual)}`;
+
+        throw new DataError(location, {expected, actual}, msg);
+      }
+
+      return;
+    }
+
+    const diff = exports.diff(exports.normalize(expected), actual, location);
+
+    if (diff.length > 0) {
+      throw new DataError(location, {expected, actual, diff});
+    }
+  });
+
+  return data;
+};
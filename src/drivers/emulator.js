@@ -0,0 +1,178 @@
+/**
+ * Realtime Database emulator driver.
+ */
+
+'use strict';
+
+const crypto = require('crypto');
+const errors = require('../errors');
+const live = require('./live');
+const rest = require('../rest');
+
+const log = require('debug')('firebase-test:context:emulator');
+
+/**
+ * Token the emulator grants admin access to.
+ *
+ * @type {string}
+ */
+const OWNER_TOKEN = 'owner';
+
+/**
+ * Namespaces created by this process.
+ *
+ * @type {number}
+ */
+let NS_COUNT = 0;
+
+/**
+ * Emulator driver.
+ *
+ * Test operations by applying them to a Realtime Database emulator. Each
+ * sequence runs in its own namespace; sequences can run concurrently.
+ */
+class EmulatorDriver {
+
+  /**
+   * Create the token generator and the client factory.
+   *
+   * @param {string}                         [options.host]           Emulator host ("localhost:9000" by default)
+   * @param {string}                         [options.nsPrefix]       Prefix of the namespaces ("firebase-test" by default)
+   * @param {number}                         [options.timeout]        Request timeout in ms (5000 by default)
+   * @param {function(ns: string): object}   [options.createClient]   Create the client of a namespace
+   * @param {object}                         [options.tokenGenerator] Token generator
+   */
+  constructor({host = 'localhost:9000', nsPrefix = 'firebase-test', timeout, createClient, tokenGenerator} = {}) {
+    if (host == null || host === '') {
+      throw new Error('No emulator host provided.');
+    }
+
+    this.host = host;
+    this.nsPrefix = nsPrefix;
+    this.createClient = createClient == null ?
+      name => rest.client({databaseURL: `http://${host}`, ns: name, timeout}) :
+      createClient;
+    this.generator = tokenGenerator == null ? exports.tokenGenerator() : tokenGenerator;
+  }
+
+  get id() {
+    return 'emulator';
+  }
+
+  /**
+   * Sequences are isolated in their own namespace; they can run concurrently.
+   *
+   * @return {boolean}
+   */
+  get concurrent() {
+    return true;
+  }
+
+  /**
+   * Placeholder for init hook - nothing to initialize on the Context object.
+   */
+  init() {}
+
+  /**
+   * Test the operations can be applied.
+   *
+   * The rules are deployed to a new namespace and the namespace is set with
+   * the context seed before running the operations.
+   *
+   * @param  {Context} ctx Context holding rules, initial datas and the operations to test
+   * @return {Promise<any,Error>}
+   */
+  exec(ctx) {
+    const {ops = [], time = null, seed, rules} = ctx;
+
+    if (time != null || ops.some(({op}) => op === 'advanceTime')) {
+      return Promise.reject(new errors.SkipError(
+        'the emulator driver cannot run operations at a fixed time (see Context#atTime and Context#advanceTime).'
+      ));
+    }
+
+    const ns = exports.namespace(this.nsPrefix);
+    const client = this.createClient(ns);
+
+    log(`Running sequence in namespace "${ns}".`);
+
+    return live.run(ctx, {
+      client,
+      tokens: new live.Tokens(this.generator),
+      setup: adminToken => Promise.all([
+        client.rules({rules, secret: adminToken}),
+        client.set({paths: '', payload: seed, auth: adminToken, silent: true})
+      ])
+    });
+  }
+
+}
+
+/**
+ * Create the emulator driver.
+ *
+ * @param  {{host: string, nsPrefix: string}} opts Driver options
+ * @return {EmulatorDriver}
+ */
+exports.create = function(opts) {
+  return new EmulatorDriver(opts);
+};
+
+/**
+ * Create a new namespace name.
+ *
+ * The name ends with a random part so that concurrent test runs sharing an
+ * emulator do not collide.
+ *
+ * @param  {string} prefix Namespace prefix
+ * @return {string}
+ */
+exports.namespace = function(prefix) {
+  const random = crypto.randomBytes(4).toString('hex');
+
+  return `${prefix}-${Date.now().toString(36)}-${NS_COUNT++}-${random}`;
+};
+
+/**
+ * Encode a JSON value to base64url.
+ *
+ * @param  {any} value Value to encode
+ * @return {string}
+ */
+function encode(value) {
+  return Buffer.from(JSON.stringify(value)).toString('base64')
+    .replace(/\+/g, '-')
+    .replace(/\//g, '_')
+    .replace(/[=]+$/, '');
+}
+
+/**
+ * Create the emulator token generator.
+ *
+ * Users are authenticated with unsigned ID tokens holding the auth token
+ * claims (see `auth.create`); the admin uses the emulator "owner" token.
+ *
+ * Unlike legacy tokens, the emulator only sets custom claims in the rules
+ * "auth.token" variable.
+ *
+ * @return {{createToken: function(data: object, opt: object): string}}
+ */
+exports.tokenGenerator = function() {
+  return {
+    createToken(data, {admin = false} = {}) {
+      if (admin) {
+        return OWNER_TOKEN;
+      }
+
+      const iat = Math.floor(Date.now() / 1000);
+      const claims = Object.assign({}, data.token, {
+        sub: data.uid,
+        user_id: data.uid,
+        iat,
+        exp: iat + 3600
+      });
+
+      return `${encode({alg: 'none', typ: 'JWT'})}.${encode(claims)}.`;
+    }
+  };
+};
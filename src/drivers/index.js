@@ -1,4 +1,5 @@
 'use strict';
 
+exports.emulator = require('./emulator');
 exports.live = require('./live');
 exports.simulated = require('./simulated');
@@ -7,7 +7,10 @@
 'use strict';
 
 const FirebaseTokenGenerator = require('firebase-token-generator');
+const bolt = require('../bolt');
+const errors = require('../errors');
 const hash = require('object-hash');
+const query = require('../query');
 const rest = require('../rest');
 
 const log = require('debug')('firebase-test:context:rest');
@@ -28,7 +31,7 @@ class LiveDriver {
   /**
    * Create token generator and rest client.
    *
-   * @param {{secret: string, projectId: string}} options Driver options
+   * @param {{secret: string, projectId: string, databaseURL: string, ns: string, timeout: number}} options Driver options
    */
   constructor(options = {}) {
     if (options.secret == null) {
@@ -44,6 +47,15 @@ class LiveDriver {
     return 'rest';
   }
 
+  /**
+   * Sequences share the project database; they must run one at a time.
+   *
+   * @return {boolean}
+   */
+  get concurrent() {
+    return false;
+  }
+
   /**
    * Placeholder for init hook - nothing to initialize on the Context object.
    */
@@ -56,47 +68,37 @@ class LiveDriver {
    * @return {Promise<void,Error>}
    */
   exec(ctx) {
+    const {ops = [], time = null} = ctx;
+
+    if (time != null || ops.some(({op}) => op === 'advanceTime')) {
+      return Promise.reject(new errors.SkipError(
+        'the live driver cannot run operations at a fixed time (see Context#atTime and Context#advanceTime).'
+      ));
+    }
+
     return lock(this.client, () => this.runOps(ctx));
   }
 
   /**
    * Test the operation can be applied.
    *
+   * The rules are deployed (unless they are already) and the database is
+   * reset with the context seed before running the operations (see `run`).
+   *
    * @param  {Context} ctx Context holding rules, initial datas and the operations to test
-   * @return {Promise<void,Error>}
+   * @return {Promise<any,Error>}
    */
   runOps(ctx) {
-    const {ops, seed, rules} = ctx;
-    const tokens = new Tokens(this.generator);
-
-    const adminToken = tokens.get(adminAuth, {admin: true});
-    const setup = Promise.all([
-      deployRules({rules, client: this.client, secret: this.secret}),
-      this.client.set({paths: '', payload: seed, auth: adminToken, silent: true})
-    ]);
-
-    return ops.reduce(
-      (chain, operation) => {
-        const {op, path: paths, value, auth: authData = null, options: {debug = false, silent = true} = {}} = operation;
-        const auth = authData == null ? null : tokens.get(authData, {debug});
-
-        switch (op) {
-
-        case 'get':
-          return chain.then(() => this.client.get({paths, auth, silent}));
-
-        case 'push':
-        case 'set':
-        case 'update':
-          return chain.then(() => this.client[op]({paths, payload: value, auth, silent: true}));
-
-        default:
-          return chain.then(() => Promise.reject(new Error(`Unknown operation type "${op}"`)));
-
-        }
-      },
-      setup
-    );
+    const {seed, rules} = ctx;
+
+    return exports.run(ctx, {
+      client: this.client,
+      tokens: new Tokens(this.generator),
+      setup: adminToken => Promise.all([
+        deployRules({rules, client: this.client, secret: this.secret}),
+        this.client.set({paths: '', payload: seed, auth: adminToken, silent: true})
+      ])
+    });
   }
 
 }
@@ -130,10 +132,73 @@ class Tokens {
 
 }
 
+exports.Tokens = Tokens;
+
+/**
+ * Run a sequence operations with a REST client.
+ *
+ * The operations run once the database is set up. If the context has data
+ * assertions, it resolves with the database content (read as admin) at the
+ * end of the sequence.
+ *
+ * Server value placeholders are sent as is; they are resolved by the
+ * database the way the simulated driver does.
+ *
+ * @param  {Context}                              ctx            Context holding rules, initial datas and the operations to test
+ * @param  {RestClient}                           options.client Client of the database to test
+ * @param  {Tokens}                               options.tokens Auth token cache
+ * @param  {function(string): Promise<any,Error>} options.setup  Set up the database (rules and seed) with an admin token
+ * @return {Promise<any,Error>}
+ */
+exports.run = function(ctx, {client, tokens, setup}) {
+  const {ops, rules, expectations} = ctx;
+  const adminToken = tokens.get(adminAuth, {admin: true});
+
+  const sequence = ops.reduce(
+    (chain, operation, index) => {
+      const {op, path: paths, value, auth: authData = null, options = {}} = operation;
+      const {silent = true} = options;
+      const auth = authData == null ? null : tokens.get(authData, {debug: true});
+      const source = bolt.locate(rules, paths);
+
+      switch (op) {
+
+      case 'get':
+        return chain.then(() => checkOutcome(
+          client.get(getOptions({paths, auth, silent, options})), {index, operation, source}
+        ));
+
+      case 'push':
+      case 'set':
+      case 'update':
+        return chain.then(() => checkOutcome(
+          client[op]({paths, payload: value, auth, silent: true}), {index, operation, source}
+        ));
+
+      case 'transaction':
+        return chain.then(() => checkOutcome(
+          client.transaction({paths, update: value, auth}), {index, operation, source}
+        ));
+
+      default:
+        return chain.then(() => Promise.reject(new Error(`Unknown operation type "${op}"`)));
+
+      }
+    },
+    setup(adminToken)
+  );
+
+  if (expectations == null || expectations.length === 0) {
+    return sequence;
+  }
+
+  return sequence.then(() => client.get({paths: '', auth: adminToken}));
+};
+
 /**
  * Create the rest driver.
  *
- * @param {{secret: string, projectId: string}} opts Driver options
+ * @param {{secret: string, projectId: string, databaseURL: string, ns: string, timeout: number}} opts Driver options
  * @return {LiveDriver}
  */
 exports.create = function(opts) {
@@ -143,17 +208,24 @@ exports.create = function(opts) {
 /**
  * Create a REST client for a Firebase database.
  *
- * @param  {string} options.projectId Firebase project id
+ * The options can be set with the FIREBASE_TEST_DRIVER_PROJECT_ID,
+ * FIREBASE_TEST_DRIVER_DATABASE_URL, FIREBASE_TEST_DRIVER_NS and
+ * FIREBASE_TEST_DRIVER_TIMEOUT environment variables.
+ *
+ * @param  {string} [options.projectId]   Firebase project id
+ * @param  {string} [options.databaseURL] Database URL ("https://<projectId>.firebaseio.com" by default)
+ * @param  {string} [options.ns]          Database namespace
+ * @param  {number} [options.timeout]     Request timeout in ms (5000 by default)
  * @return {RestClient}
  */
-exports.client = function({projectId, client}) {
+exports.client = function({projectId, databaseURL, ns, timeout, client}) {
   if (client != null) {
     log('Rest driver will use the provided client.');
 
     return client;
   }
 
-  return rest.client({projectId});
+  return rest.client({projectId, databaseURL, ns, timeout});
 };
 
 /**
@@ -179,7 +251,7 @@ exports.tokenGenerator = function({secret, tokenGenerator}) {
 };
 
 /**
- * Rules deployment cache.
+ * Rules deployment cache, by database (see `databaseKey`).
  *
  * @type {Map<string,Promise<string>>}
  */
@@ -188,7 +260,7 @@ const rulesRequests = new Map();
 /**
  * Sequence chains - used synchronize sequence execution.
  *
- * One sequence shouldn't run while an other (targeting the same project) does.
+ * One sequence shouldn't run while an other (targeting the same database) does.
  *
  * @type {Map<string,Promise<void>>}
  */
@@ -204,6 +276,19 @@ exports.reset = function() {
   sequences.clear();
 };
 
+/**
+ * Identify the database a client targets.
+ *
+ * Databases are identified by their URL and namespace; the project id alone
+ * would not tell apart two namespaces of an emulator or a proxy.
+ *
+ * @param  {{databaseURL: string, ns: string}} client Rest client
+ * @return {string}
+ */
+function databaseKey({databaseURL, ns}) {
+  return ns == null ? databaseURL : `${databaseURL}?ns=${ns}`;
+}
+
 /**
  * Deploy rules for a database project.
  *
@@ -216,7 +301,8 @@ exports.reset = function() {
  * @return {Promise<void,Error>}
  */
 function deployRules({client, rules, secret}) {
-  const lastRequest = rulesRequests.get(client.projectId);
+  const key = databaseKey(client);
+  const lastRequest = rulesRequests.get(key);
 
   return Promise.resolve(lastRequest).then(oldRulesHash => {
     const newRuleHash = hash(rules);
@@ -227,7 +313,7 @@ function deployRules({client, rules, secret}) {
 
     const request = client.rules({rules, secret});
 
-    rulesRequests.set(client.projectId, request.then(
+    rulesRequests.set(key, request.then(
       () => newRuleHash,
       () => oldRulesHash
     ));
@@ -237,19 +323,78 @@ function deployRules({client, rules, secret}) {
 }
 
 /**
- * Run a sequence once the previous sequence for that project id ends.
+ * Build the client get request options, including the eventual query
+ * parameters.
+ *
+ * @param  {string}  options.paths   Location to fetch
+ * @param  {string}  options.auth    Auth token
+ * @param  {boolean} options.silent  Skip the response rendering
+ * @param  {object}  options.options Operation options
+ * @return {object}
+ */
+function getOptions({paths, auth, silent, options}) {
+  const params = query.pick(options);
+
+  return params == null ? {paths, auth, silent} : {paths, auth, silent, query: params};
+}
+
+/**
+ * Check a request outcome matches the operation expected outcome.
+ *
+ * A request rejected with a 401 status code is considered denied; other
+ * errors are left unchanged. The rules evaluation trace of a denial is taken
+ * from the "x-firebase-auth-debug" response header (user tokens are created
+ * with the debug flag).
+ *
+ * @param  {Promise<any,Error>} request           Operation request
+ * @param  {number}             options.index     Operation position in the sequence
+ * @param  {object}             options.operation Operation
+ * @param  {array}              options.source    Bolt declarations of the rules applying to the operation
+ * @return {Promise<void,Error>}
+ */
+function checkOutcome(request, {index, operation, source}) {
+  const {expected = 'allowed'} = operation;
+
+  return request.then(
+    () => {
+      if (expected === 'denied') {
+        return Promise.reject(new errors.OperationError(index, operation, {allowed: true, source}));
+      }
+
+      return undefined;
+    },
+    err => {
+      if (err == null || err.statusCode !== 401) {
+        return Promise.reject(err);
+      }
+
+      if (expected === 'denied') {
+        return undefined;
+      }
+
+      const {headers = {}} = err.response || {};
+      const trace = headers['x-firebase-auth-debug'];
+
+      return Promise.reject(new errors.OperationError(index, operation, {allowed: false, original: err, trace, source}));
+    }
+  );
+}
+
+/**
+ * Run a sequence once the previous sequence for that database ends.
  *
- * @param  {{projectId: string}}             client   Rest client
- * @param  {function(): Promise<void,Error>} sequence Sequence to run
+ * @param  {{databaseURL: string, ns: string}} client   Rest client
+ * @param  {function(): Promise<void,Error>}   sequence Sequence to run
  * @return {Promise<void,Error>}
  */
 function lock(client, sequence) {
-  const lastSequence = sequences.get(client.projectId);
+  const key = databaseKey(client);
+  const lastSequence = sequences.get(key);
 
   return Promise.resolve(lastSequence).then(() => {
     const result = sequence();
 
-    sequences.set(client.projectId, result.then(noop, noop));
+    sequences.set(key, result.then(noop, noop));
 
     return result;
   });
@@ -1,6 +1,11 @@
 'use strict';
 
+const bolt = require('../bolt');
+const coverage = require('../coverage');
+const errors = require('../errors');
 const pathHelper = require('../path');
+const query = require('../query');
+const servervalue = require('../servervalue');
 const targaryen = require('targaryen');
 
 const defaultLog = require('debug')('firebase-test:context:targaryen');
@@ -10,20 +15,72 @@ function defaultUniqID() {
   return `--firebase-test-id-${ID_COUNT++}--`;
 }
 
-function assertAllowed(result, {debug, log}) {
+function assertOutcome(result, {index, operation, source, debug, log}) {
+  const {expected = 'allowed'} = operation;
+  const allowed = result.allowed === true;
+
   if (debug) {
     log(result.info);
   }
 
-  if (result.allowed !== true) {
-    throw new Error('Operation failed');
+  if (allowed !== (expected === 'allowed')) {
+    throw new errors.OperationError(index, operation, {allowed, trace: result.info, source});
+  }
+
+  if (!allowed) {
+    return result.database;
   }
 
   return result.newDatabase == null ? result.database : result.newDatabase;
 }
 
+/**
+ * Simulate a transaction: read the location and write the value returned by
+ * the update function.
+ *
+ * The transaction is aborted after the read if the update function returns
+ * undefined.
+ *
+ * @param  {Database}           db     Database to run the transaction against
+ * @param  {string}             path   Location to update
+ * @param  {function(any): any} update Function returning the new value
+ * @param  {number}             now    Operation timestamp
+ * @return {{allowed: boolean, info: string, logs: array, database: Database, newDatabase: Database}}
+ */
+function transaction(db, path, update, now) {
+  const read = db.read(path, {now});
+
+  if (read.allowed !== true) {
+    return read;
+  }
+
+  const current = db.snapshot(path).val();
+  const value = update(current);
+
+  if (value === undefined) {
+    return read;
+  }
+
+  const write = db.write(path, servervalue.resolve(value, {now, current}), {now});
+
+  return {
+    allowed: write.allowed,
+    info: `${read.info}\n${write.info}`,
+    logs: read.logs.concat(write.logs),
+    database: write.database,
+    newDatabase: write.newDatabase
+  };
+}
+
 const rulesetKey = Symbol('ruleset');
 
+/**
+ * Compiled rulesets, by rules object.
+ *
+ * @type {WeakMap<object,object>}
+ */
+const rulesets = new WeakMap();
+
 /**
  * SimulatedDriver simulate firebase operations using targaryen.
  */
@@ -46,26 +103,73 @@ class SimulatedDriver {
     return 'targaryen';
   }
 
+  /**
+   * Sequences are simulated synchronously; running them concurrently would
+   * not make them any faster.
+   *
+   * @return {boolean}
+   */
+  get concurrent() {
+    return false;
+  }
+
   /**
    * Check the rules are valid.
    *
+   * A rules object is only compiled once; it should not be modified once a
+   * context uses it.
+   *
    * @param  {Context} ctx Context to initialize
    */
   init(ctx) {
-    ctx[rulesetKey] = targaryen.ruleset(ctx.rules);
+    const {rules} = ctx;
+
+    if (rules == null || typeof rules !== 'object') {
+      ctx[rulesetKey] = targaryen.ruleset(rules);
+      return;
+    }
+
+    if (!rulesets.has(rules)) {
+      rulesets.set(rules, targaryen.ruleset(rules));
+    }
+
+    ctx[rulesetKey] = rulesets.get(rules);
   }
 
   /**
    * Simulate operations.
    *
-   * Returns the content of the database at the end of sequence.
+   * Returns the content of the database at the end of sequence. It throws an
+   * `OperationError` if an operation is denied while expected to be allowed
+   * (the default) or the reverse.
+   *
+   * Server value placeholders of the seed and of the written values are
+   * resolved before the rules evaluation.
+   *
+   * Rules evaluations are recorded if the rules coverage is enabled (see
+   * `coverage.start`).
+   *
+   * Operations are evaluated at the context time if set (see
+   * `Context#atTime`), or at the current time, plus any time added by
+   * previous "advanceTime" steps. The time must stay after the epoch.
    *
    * @param  {Context} ctx Context holds the rules, seed and operation to simulate with
    * @return {any}
    */
   exec(ctx) {
-    const {seed, ops} = ctx;
-    const data = targaryen.store(seed);
+    const {seed, ops, time = null} = ctx;
+    let offset = 0;
+    const clock = () => {
+      const now = (time == null ? Date.now() : time) + offset;
+
+      // targaryen would use the current time instead of a null timestamp.
+      if (now <= 0) {
+        throw new Error(`Invalid operation time: ${now}`);
+      }
+
+      return now;
+    };
+    const data = targaryen.store(servervalue.resolve(seed, {now: clock()}));
 
     if (ops == null || ops.length == null || ops.length === 0) {
       return data.$value();
@@ -73,36 +177,52 @@ class SimulatedDriver {
 
     const initialDb = targaryen.database(ctx[rulesetKey], data).with({debug: true});
     const finalDb = ops.reduce(
-      (database, operation) => {
-        const {op, path = '/', value, auth = null, options: {debug = false} = {}} = operation;
+      (database, operation, index) => {
+        const {op, path = '/', value, auth = null, options = {}} = operation;
+        const {debug = false} = options;
         const db = database.as(auth).with({debug});
-        let result, childPath;
+        const now = clock();
+        const current = db.snapshot(path).val();
+        let result, childPath, params;
 
         switch (op) {
 
         case 'get':
-          result = db.read(path);
+          params = query.pick(options);
+          query.assertIndexed(ctx.rules, path, params);
+          coverage.recordIndex(ctx.rules, path, query.index(params));
+          result = db.read(path, {now, query: params});
           break;
 
         case 'push':
           childPath = pathHelper.join(path, this.uniqID());
-          result = db.write(childPath, value);
+          result = db.write(childPath, servervalue.resolve(value, {now}), {now});
           break;
 
         case 'set':
-          result = db.write(path, value);
+          result = db.write(path, servervalue.resolve(value, {now, current}), {now});
           break;
 
         case 'update':
-          result = db.update(path, value);
+          result = db.update(path, servervalue.resolvePatch(value, {now, current}), {now});
+          break;
+
+        case 'transaction':
+          result = transaction(db, path, value, now);
           break;
 
+        case 'advanceTime':
+          offset += value;
+          return database;
+
         default:
           throw new Error(`Unknown operation type "${op}"`);
 
         }
 
-        return assertAllowed(result, {debug, log: this.log});
+        coverage.record(ctx.rules, result.logs);
+
+        return assertOutcome(result, {index, operation, source: bolt.locate(ctx.rules, path), debug, log: this.log});
       },
       initialDb
     );
@@ -0,0 +1,137 @@
+'use strict';
+
+/**
+ * Render a value for an error message.
+ *
+ * @param  {any} value Value to render
+ * @return {string}
+ */
+function render(value) {
+  if (typeof value === 'function') {
+    return `[Function${value.name ? `: ${value.name}` : ''}]`;
+  }
+
+  return JSON.stringify(value);
+}
+
+/**
+ * Indent each line of a text.
+ *
+ * @param  {string} text   Text to indent
+ * @param  {string} prefix Indentation
+ * @return {string}
+ */
+function indent(text, prefix) {
+  return text.split('\n').map(line => {
+    if (line === '') {
+      return line;
+    }
+
+    return `${prefix}${line}`;
+  }).join('\n');
+}
+
+/**
+ * Report an operation whose outcome (allowed or denied) differs from the
+ * expected one.
+ *
+ * Besides the message, the error holds the failing operation details (its
+ * index, type, path, auth and value) and, when the driver provides it, the
+ * trace of the rules evaluation (the targaryen evaluation info with the
+ * simulated driver, the "x-firebase-auth-debug" header with the live driver).
+ */
+class OperationError extends Error {
+
+  /**
+   * OperationError constructor.
+   *
+   * @param  {number}  index              Position of the operation in the sequence (0-based)
+   * @param  {object}  operation          The operation (see `Context#append`)
+   * @param  {boolean} details.allowed    Was the operation allowed
+   * @param  {Error}   [details.original] Error reporting the operation denial
+   * @param  {string}  [details.trace]    Rules evaluation trace
+   * @param  {array}   [details.source]   Bolt declarations of the rules applying to the operation
+   */
+  constructor(index, operation, {allowed, original, trace, source = []}) {
+    const {expected = 'allowed', op, path = '', auth = null, value} = operation;
+    const outcome = allowed ? 'allowed' : 'denied';
+    const lines = [
+      `${exports.describe(index, operation)} was ${outcome} but it was expected to be ${expected}.`,
+      `  Auth: ${render(auth)}`
+    ];
+
+    if (value !== undefined) {
+      lines.push(`  Value: ${render(value)}`);
+    }
+
+    if (trace != null && trace !== '') {
+      lines.push('  Rules evaluation:', indent(trace, '    '));
+    }
+
+    if (source.length > 0) {
+      lines.push('  Bolt source:', indent(source.join('\n'), '    '));
+    }
+
+    super(lines.join('\n'));
+
+    this.index = index;
+    this.operation = operation;
+    this.type = op;
+    this.path = path;
+    this.auth = auth;
+    this.value = value;
+    this.allowed = allowed;
+    this.expected = expected;
+    this.trace = trace;
+    this.source = source;
+    this.original = original;
+  }
+
+}
+
+exports.OperationError = OperationError;
+
+/**
+ * Properties describing the failing operation of an `OperationError`.
+ *
+ * @type {string[]}
+ */
+exports.operationDetails = ['index', 'type', 'path', 'auth', 'value', 'allowed', 'expected', 'trace', 'source'];
+
+/**
+ * Describe an operation of a sequence.
+ *
+ * @param  {number} index     Position of the operation in the sequence (0-based)
+ * @param  {object} operation The operation (see `Context#append`)
+ * @return {string}
+ */
+exports.describe = function(index, {op, path = '', auth = null}) {
+  const user = auth == null ? 'guest' : JSON.stringify(auth.uid);
+
+  return `Operation #${index + 1} (${op} "/${path}" as ${user})`;
+};
+
+/**
+ * Report a sequence the driver cannot run (e.g. the live driver cannot run a
+ * sequence depending on a fixed time).
+ *
+ * `Context#ok` and `Context#shouldFail` let it through unchanged, so that the
+ * test can be skipped.
+ */
+class SkipError extends Error {
+
+  /**
+   * SkipError constructor.
+   *
+   * @param  {string} reason Why the sequence was skipped
+   */
+  constructor(reason) {
+    super(`Sequence skipped: ${reason}`);
+
+    this.skipped = true;
+    this.reason = reason;
+  }
+
+}
+
+exports.SkipError = SkipError;
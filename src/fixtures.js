@@ -0,0 +1,195 @@
+'use strict';
+
+const fs = require('fs');
+const json = require('firebase-json');
+const path = require('./path');
+const pathModule = require('path');
+
+/**
+ * Parsed fixture files cache.
+ *
+ * @type {Map<string,{mtime: number, value: any}>}
+ */
+const cache = new Map();
+
+/**
+ * Clear fixture files cache.
+ *
+ * Only useful for tests.
+ */
+exports.reset = function() {
+  cache.clear();
+};
+
+/**
+ * Test a value is a plain object.
+ *
+ * @param  {any}  value Value to test
+ * @return {boolean}
+ */
+function isObject(value) {
+  return value != null && typeof value === 'object' && !Array.isArray(value);
+}
+
+/**
+ * Load a JSON fixture file.
+ *
+ * The file can use the firebase JSON format (which tolerate comments). The
+ * content is cached by path and modification time.
+ *
+ * @param  {string} filePath Path to the file (relative to the current directory)
+ * @return {any}
+ */
+exports.load = function(filePath) {
+  const absPath = pathModule.resolve(filePath);
+  const mtime = fs.statSync(absPath).mtime.getTime();
+  const cached = cache.get(absPath);
+
+  if (cached != null && cached.mtime === mtime) {
+    return cached.value;
+  }
+
+  let value;
+
+  try {
+    value = json.loadSync(absPath, 'utf8');
+  } catch (e) {
+    const {start} = e.location || {};
+    const at = start == null ? '' : ` (line ${start.line}, column ${start.column})`;
+
+    throw new Error(`Failed to parse "${filePath}"${at}: ${e.message}`);
+  }
+
+  cache.set(absPath, {mtime, value});
+
+  return value;
+};
+
+/**
+ * Deep merge two values.
+ *
+ * Objects are merged recursively; other values are replaced. The values are
+ * left unchanged.
+ *
+ * @param  {any} target Value to merge into
+ * @param  {any} source Value to merge
+ * @return {any}
+ */
+exports.merge = function(target, source) {
+  if (!isObject(source)) {
+    return source;
+  }
+
+  const base = isObject(target) ? target : {};
+
+  return Object.keys(source).reduce(
+    (result, key) => Object.assign(result, {[key]: exports.merge(base[key], source[key])}),
+    Object.assign({}, base)
+  );
+};
+
+/**
+ * Nest a value at a location.
+ *
+ * @param  {any}          value Value to nest
+ * @param  {string|array} paths Location
+ * @return {any}
+ */
+exports.mount = function(value, paths) {
+  const location = path.join(paths);
+
+  if (location === '') {
+    return value;
+  }
+
+  return location.split('/').reduceRight(
+    (child, key) => ({[key]: child}),
+    value
+  );
+};
+
+/**
+ * Return the value of a tree location.
+ *
+ * @param  {any}          tree  Tree to read
+ * @param  {string|array} paths Location to read
+ * @return {any}
+ */
+exports.get = function(tree, paths) {
+  const location = path.join(paths);
+
+  if (location === '') {
+    return tree;
+  }
+
+  return location.split('/').reduce((node, key) => {
+    if (!isObject(node)) {
+      return undefined;
+    }
+
+    return node[key];
+  }, tree);
+};
+
+/**
+ * Return a copy of a tree with a location replaced.
+ *
+ * The tree is left unchanged.
+ *
+ * @param  {any}          tree  Tree to copy
+ * @param  {string|array} paths Location to replace
+ * @param  {any}          value Location new value
+ * @return {any}
+ */
+exports.set = function(tree, paths, value) {
+  const location = path.join(paths);
+
+  if (location === '') {
+    return value;
+  }
+
+  const keys = location.split('/');
+  const key = keys[0];
+  const base = isObject(tree) ? tree : {};
+
+  return Object.assign({}, base, {[key]: exports.set(base[key], keys.slice(1), value)});
+};
+
+/**
+ * Return a copy of a tree with a patch deep merged at a location.
+ *
+ * The tree is left unchanged.
+ *
+ * @param  {any}          tree  Tree to copy
+ * @param  {string|array} paths Location to patch
+ * @param  {object}       patch Value to merge
+ * @return {any}
+ */
+exports.patch = function(tree, paths, patch) {
+  return exports.set(tree, paths, exports.merge(exports.get(tree, paths), patch));
+};
+
+/**
+ * Resolve a seed.
+ *
+ * The seed can be the initial data, a path to a JSON fixture file or a list
+ * of path to fixture files to deep merge in order. Only strings ending with
+ * ".json" are taken for fixture paths; other strings are primitive values.
+ *
+ * @param  {any}          seed         Initial data, fixture path or list of fixture paths
+ * @param  {string|array} [options.at] Location to mount the seed at
+ * @return {any}
+ */
+exports.seed = function(seed, {at} = {}) {
+  const isPath = p => typeof p === 'string' && p.endsWith('.json');
+  const isPathList = Array.isArray(seed) && seed.length > 0 && seed.every(isPath);
+  let value = seed;
+
+  if (isPath(seed)) {
+    value = exports.merge(null, exports.load(seed));
+  } else if (isPathList) {
+    value = seed.reduce((result, p) => exports.merge(result, exports.load(p)), null);
+  }
+
+  return at == null ? value : exports.mount(value, at);
+};
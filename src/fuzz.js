@@ -0,0 +1,428 @@
+'use strict';
+
+const errors = require('./errors');
+const fixtures = require('./fixtures');
+const path = require('./path');
+
+/**
+ * Maximum number of payloads evaluated while shrinking a failing payload.
+ *
+ * @type {number}
+ */
+const MAX_SHRINKS = 500;
+
+/**
+ * Create a seeded pseudo random number generator (mulberry32).
+ *
+ * @param  {number} seed Generator seed
+ * @return {function(): number}
+ */
+exports.random = function(seed) {
+  let state = seed >>> 0;
+
+  return () => {
+    state = (state + 0x6D2B79F5) >>> 0;
+
+    let t = state;
+
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+};
+
+/**
+ * Pick a fuzzing seed.
+ *
+ * Uses FIREBASE_TEST_FUZZ_SEED if set, a random seed otherwise.
+ *
+ * @param  {object} [src] Environment variables (default to `process.env`)
+ * @return {number}
+ */
+exports.seed = function(src = process.env) {
+  const seed = Number(src.FIREBASE_TEST_FUZZ_SEED);
+
+  if (src.FIREBASE_TEST_FUZZ_SEED != null && !isNaN(seed)) {
+    return seed;
+  }
+
+  return Math.floor(Math.random() * 4294967296);
+};
+
+/**
+ * Generate integers.
+ *
+ * @param  {number} [min] Minimum value
+ * @param  {number} [max] Maximum value
+ * @return {function(function(): number): number}
+ */
+exports.integer = function(min = -1000, max = 1000) {
+  return random => min + Math.floor(random() * (max - min + 1));
+};
+
+/**
+ * Generate numbers.
+ *
+ * @param  {number} [min] Minimum value
+ * @param  {number} [max] Maximum value
+ * @return {function(function(): number): number}
+ */
+exports.number = function(min = -1000, max = 1000) {
+  return random => min + (random() * (max - min));
+};
+
+/**
+ * Characters used by string generators.
+ *
+ * @type {string}
+ */
+const chars = 'abcdefghijklmnopqrstuvwxyzABCDEFGHIJKLMNOPQRSTUVWXYZ0123456789 _-.@/<>é';
+
+/**
+ * Generate strings.
+ *
+ * @param  {number} [options.minLength] Minimum length
+ * @param  {number} [options.maxLength] Maximum length
+ * @param  {string} [options.chars]     Characters to pick from
+ * @return {function(function(): number): string}
+ */
+exports.string = function({minLength = 0, maxLength = 12, chars: pool = chars} = {}) {
+  return random => {
+    const length = exports.integer(minLength, maxLength)(random);
+
+    return Array.from({length}, () => pool[Math.floor(random() * pool.length)]).join('');
+  };
+};
+
+/**
+ * Generate booleans.
+ *
+ * @return {function(function(): number): boolean}
+ */
+exports.boolean = function() {
+  return random => random() < 0.5;
+};
+
+/**
+ * Generate a constant.
+ *
+ * @param  {any} value Value to generate
+ * @return {function(): any}
+ */
+exports.constant = function(value) {
+  return () => value;
+};
+
+/**
+ * Generate values with one of the generators.
+ *
+ * @param  {...function(function(): number): any} generators Generators to pick from
+ * @return {function(function(): number): any}
+ */
+exports.oneOf = function(...generators) {
+  return random => generators[Math.floor(random() * generators.length)](random);
+};
+
+/**
+ * Generate objects.
+ *
+ * @param  {object} shape              Map of property name to their generator
+ * @param  {number} [options.optional] Probability of a property to be missing
+ * @return {function(function(): number): object}
+ */
+exports.object = function(shape, {optional = 0.2} = {}) {
+  return random => Object.keys(shape).reduce((value, key) => {
+    if (random() < optional) {
+      return value;
+    }
+
+    return Object.assign(value, {[key]: shape[key](random)});
+  }, {});
+};
+
+/**
+ * Generate objects of 1 to 4 children with random keys.
+ *
+ * @param  {function(function(): number): any} child Children generator
+ * @return {function(function(): number): object}
+ */
+function children(child) {
+  const key = exports.string({minLength: 1, maxLength: 5, chars: 'abcdefghij'});
+  const size = exports.integer(1, 4);
+
+  return random => Array.from({length: size(random)}).reduce(
+    value => Object.assign(value, {[key(random)]: child(random)}),
+    {}
+  );
+}
+
+/**
+ * Generate any database value: primitives and nested objects.
+ *
+ * @param  {number} [options.depth] Maximum object depth
+ * @return {function(function(): number): any}
+ */
+exports.any = function({depth = 2} = {}) {
+  const primitive = exports.oneOf(
+    exports.string(),
+    exports.integer(),
+    exports.number(),
+    exports.boolean()
+  );
+
+  return random => {
+    if (depth === 0 || random() < 0.6) {
+      return primitive(random);
+    }
+
+    return children(exports.any({depth: depth - 1}))(random);
+  };
+};
+
+/**
+ * List smaller candidates of a payload.
+ *
+ * @param  {any} value Payload to shrink
+ * @return {array}
+ */
+exports.shrinks = function(value) {
+  const unique = list => list.filter((v, i) => v !== value && list.indexOf(v) === i);
+
+  if (typeof value === 'number') {
+    return unique([0, Math.trunc(value), Math.trunc(value / 2), Math.trunc(value) - Math.sign(Math.trunc(value))]);
+  }
+
+  if (typeof value === 'string') {
+    return unique(['', value.slice(0, Math.floor(value.length / 2)), value.slice(1), value.slice(0, -1)]);
+  }
+
+  if (value === true) {
+    return [false];
+  }
+
+  if (value == null || typeof value !== 'object') {
+    return [];
+  }
+
+  const keys = Object.keys(value);
+  const without = keys.map(key => keys.filter(k => k !== key).reduce(
+    (copy, k) => Object.assign(copy, {[k]: value[k]}),
+    {}
+  ));
+  const smaller = keys.reduce((list, key) => list.concat(
+    exports.shrinks(value[key]).map(child => Object.assign({}, value, {[key]: child}))
+  ), []);
+
+  return without.concat(smaller);
+};
+
+/**
+ * Report a payload breaking the rules expectations.
+ */
+class FuzzError extends Error {
+
+  /**
+   * FuzzError constructor.
+   *
+   * @param  {string} location     Fuzzed location
+   * @param  {object} failure      Failure ({kind, payload, original, run, shrinks, error})
+   * @param  {number} options.seed Fuzzing seed
+   */
+  constructor(location, failure, {seed}) {
+    const reasons = {
+      accepted: 'was accepted but it should be invalid',
+      rejected: 'was rejected but it should be valid',
+      invariant: `was accepted but it breaks an invariant (${failure.error})`
+    };
+
+    super([
+      `Fuzzing "/${path.join(location)}" failed at run #${failure.run} (seed ${seed}; set FIREBASE_TEST_FUZZ_SEED=${seed} to reproduce):`,
+      `  Payload ${JSON.stringify(failure.payload)} ${reasons[failure.kind]}.`,
+      `  Original payload: ${JSON.stringify(failure.original)} (shrunk in ${failure.shrinks} steps)`
+    ].join('\n'));
+
+    this.path = path.join(location);
+    this.seed = seed;
+    this.kind = failure.kind;
+    this.payload = failure.payload;
+    this.original = failure.original;
+    this.run = failure.run;
+  }
+
+}
+
+exports.FuzzError = FuzzError;
+
+/**
+ * Write a payload and test its outcome.
+ *
+ * @param  {Context}  ctx                 Context to write the payload with
+ * @param  {string}   location            Location to write
+ * @param  {any}      payload             Payload to test
+ * @param  {string}   options.op          Write operation ("set" or "update")
+ * @param  {function} [options.valid]     Predicate telling if the payload should be valid
+ * @param  {function} [options.invariant] Assertion on the written value
+ * @return {{accepted: boolean, failure: ?{kind: string, error: string}}}
+ */
+function evaluate(ctx, location, payload, {op, valid, invariant}) {
+  let result;
+
+  try {
+    result = ctx.driver.exec(ctx[op](location, payload));
+  } catch (e) {
+    if (!(e instanceof errors.OperationError)) {
+      throw e;
+    }
+
+    return {accepted: false, failure: valid != null && valid(payload) ? {kind: 'rejected'} : null};
+  }
+
+  if (valid != null && !valid(payload)) {
+    return {accepted: true, failure: {kind: 'accepted'}};
+  }
+
+  if (invariant == null) {
+    return {accepted: true, failure: null};
+  }
+
+  try {
+    if (invariant(fixtures.get(result, location), {payload, data: result}) === false) {
+      return {accepted: true, failure: {kind: 'invariant', error: 'it returned false'}};
+    }
+  } catch (e) {
+    return {accepted: true, failure: {kind: 'invariant', error: e.message}};
+  }
+
+  return {accepted: true, failure: null};
+}
+
+/**
+ * Test an update payload is a patch: a plain object.
+ *
+ * @param  {any} payload Payload to test
+ * @return {boolean}
+ */
+function isPatch(payload) {
+  return payload != null && typeof payload === 'object' && !Array.isArray(payload);
+}
+
+/**
+ * Shrink a failing payload to a minimal example failing the same way.
+ *
+ * @param  {any}                    payload Failing payload
+ * @param  {string}                 kind    Failure kind
+ * @param  {function(any): object}  test    Evaluate a payload (see `evaluate`)
+ * @return {{payload: any, shrinks: number, error: string}}
+ */
+function shrink(payload, kind, test) {
+  let current = {payload, shrinks: 0};
+  let evaluated = 0;
+  let progress = true;
+
+  while (progress && evaluated < MAX_SHRINKS) {
+    progress = false;
+
+    for (const candidate of exports.shrinks(current.payload)) {
+      const {failure} = test(candidate);
+
+      evaluated += 1;
+
+      if (failure != null && failure.kind === kind) {
+        current = {payload: candidate, shrinks: current.shrinks + 1, error: failure.error};
+        progress = true;
+        break;
+      }
+
+      if (evaluated >= MAX_SHRINKS) {
+        break;
+      }
+    }
+  }
+
+  return current;
+}
+
+/**
+ * Write random payloads at a location and check the rules accept valid
+ * payloads only.
+ *
+ * Payloads are written with the context (using the simulated driver); a run
+ * fails if a payload is accepted while `valid` says it should not be, if it
+ * is rejected while `valid` says it should be valid, or if the written data
+ * breaks the `invariant` (it returns false or throws). The first failing
+ * payload is shrunk to a minimal example.
+ *
+ * Update payloads must be objects (by default, objects of random children are
+ * generated). An empty patch would be allowed without evaluating any rule; it
+ * is skipped, and shrinking never reduces a patch to an empty one.
+ *
+ * @param  {Context}  ctx                   Context to write the payloads with
+ * @param  {string}   location              Location to fuzz
+ * @param  {function} [options.generator]   Payload generator (receives a random number generator)
+ * @param  {number}   [options.runs]        Number of payloads to test
+ * @param  {number}   [options.seed]        Random number generator seed
+ * @param  {string}   [options.op]          Write operation ("set" or "update")
+ * @param  {function} [options.valid]       Predicate telling if a payload should be valid
+ * @param  {function} [options.invariant]   Assertion on the written value ({payload, data} as second argument)
+ * @return {{seed: number, runs: number, accepted: number, rejected: number, skipped: number}}
+ */
+exports.run = function(ctx, location, {
+  op = 'set',
+  generator = op === 'update' ? children(exports.any({depth: 1})) : exports.any(),
+  runs = 100,
+  seed = exports.seed(),
+  valid,
+  invariant
+} = {}) {
+  if (['set', 'update'].indexOf(op) === -1) {
+    throw new Error(`Unknown fuzzing operation "${op}".`);
+  }
+
+  const random = exports.random(seed);
+  const isEmpty = payload => op === 'update' && Object.keys(payload).length === 0;
+  const test = payload => {
+    if (isEmpty(payload)) {
+      return {accepted: false, failure: null};
+    }
+
+    return evaluate(ctx, location, payload, {op, valid, invariant});
+  };
+  const report = {seed, runs, accepted: 0, rejected: 0, skipped: 0};
+
+  for (let run = 1; run <= runs; run++) {
+    const payload = generator(random);
+
+    if (op === 'update' && !isPatch(payload)) {
+      throw new Error(`Invalid update payload ${JSON.stringify(payload)}; the generator should return objects.`);
+    }
+
+    if (isEmpty(payload)) {
+      report.skipped += 1;
+      continue;
+    }
+
+    const {accepted, failure} = test(payload);
+
+    if (failure != null) {
+      const shrunk = shrink(payload, failure.kind, test);
+
+      throw new FuzzError(location, {
+        kind: failure.kind,
+        error: shrunk.shrinks > 0 ? shrunk.error : failure.error,
+        payload: shrunk.payload,
+        original: payload,
+        shrinks: shrunk.shrinks,
+        run
+      }, {seed});
+    }
+
+    if (accepted) {
+      report.accepted += 1;
+    } else {
+      report.rejected += 1;
+    }
+  }
+
+  return report;
+};
@@ -1,13 +1,74 @@
 'use strict';
 
+const access = require('./access');
 const context = require('./context');
+const coverage = require('./coverage');
 const drivers = require('./drivers');
 const env = require('./env');
+const errors = require('./errors');
+const fuzz = require('./fuzz');
+const lint = require('./lint');
+const matrix = require('./matrix');
+const mutation = require('./mutation');
 const q = require('./promise');
+const regression = require('./regression');
+const rulesModule = require('./rules');
+const servervalue = require('./servervalue');
 
 exports.drivers = drivers;
+exports.ServerValue = {
+  TIMESTAMP: servervalue.TIMESTAMP,
+  increment: servervalue.increment
+};
 exports.run = q.run;
 exports.all = q.all;
+exports.MultipleError = q.MultipleError;
+exports.SkipError = errors.SkipError;
+exports.MatrixError = matrix.MatrixError;
+exports.LintError = lint.LintError;
+exports.lint = lint.check;
+exports.diffRules = regression.diff;
+exports.regression = {
+  diff: regression.diff,
+  toText: regression.toText,
+  toJSON: regression.toJSON
+};
+exports.mutate = mutation.run;
+exports.mutation = {
+  mutants: mutation.mutants,
+  run: mutation.run,
+  toText: mutation.toText,
+  toJSON: mutation.toJSON
+};
+exports.FuzzError = fuzz.FuzzError;
+exports.fuzz = {
+  integer: fuzz.integer,
+  number: fuzz.number,
+  string: fuzz.string,
+  boolean: fuzz.boolean,
+  constant: fuzz.constant,
+  oneOf: fuzz.oneOf,
+  object: fuzz.object,
+  any: fuzz.any
+};
+exports.access = {
+  report: access.report,
+  write: access.write,
+  toMarkdown: access.toMarkdown,
+  toCSV: access.toCSV,
+  toJSON: access.toJSON
+};
+exports.coverage = {
+  start: coverage.start,
+  stop: coverage.stop,
+  reset: coverage.reset,
+  report: coverage.report,
+  check: coverage.check,
+  write: coverage.write,
+  toText: coverage.toText,
+  toJSON: coverage.toJSON,
+  toLcov: coverage.toLcov
+};
 
 /**
  * Create a new test suite.
@@ -16,24 +77,58 @@ exports.all = q.all;
  * environment variable to pick the test driver.
  *
  * By default, it will use a simulated driver; set FIREBASE_TEST_DRIVER_ID to
- * "live" to run the test against a live firebase DB.
+ * "live" to run the test against a live firebase DB, or to "emulator" to run
+ * them against a local Realtime Database emulator.
  *
  * To set driver options, you can set the FIREBASE_TEST_DRIVER_* environment
  * variables; e.g. the live driver require FIREBASE_TEST_DRIVER_SECRET and
- * FIREBASE_TEST_DRIVER_PROJECT_ID to be set.
+ * FIREBASE_TEST_DRIVER_PROJECT_ID to be set, and the emulator driver uses
+ * FIREBASE_TEST_DRIVER_HOST (default to "localhost:9000").
+ *
+ * The rules can be given as an object, as a path to a rules file (e.g.
+ * "database.rules.json"), with the path to a Bolt file to compile (`bolt`
+ * option or a ".bolt" rules path), or with the path to a firebase.json config
+ * file (`config` option) referencing the rules file.
+ *
+ * With the `lint` option set, the rules are checked for common mistakes (see
+ * `lint.check`) and the warnings are logged with the "firebase-test:lint"
+ * debug namespace; with `lint: {strict: true}`, any warning throws a
+ * `LintError`.
  *
- * @param  {object} options.rules    Firebase rules to test
- * @param  {object} options.driver   Driver to test with (default to a TargaryenDriver instance)
+ * Named users can be registered with the `users` option; `suite.as(name)`
+ * will then authenticate the user with the registered claims. With the
+ * `strictUsers` option set, authenticating an unregistered user throws.
+ *
+ * The rules coverage is enabled with the first suite if FIREBASE_TEST_COVERAGE
+ * is set (see `coverage.setup`).
+ *
+ * @param  {object|string}  [options.rules]       Firebase rules to test, or path to the rules file
+ * @param  {string}         [options.bolt]        Path to a Bolt file
+ * @param  {string}         [options.config]      Path to a firebase.json file
+ * @param  {object}         [options.driver]      Driver to test with (default to a TargaryenDriver instance)
+ * @param  {boolean|object} [options.lint]        Lint the rules (`true` or lint options, {strict, ignore})
+ * @param  {object}         [options.users]       Map of user name to their claims
+ * @param  {boolean}        [options.strictUsers] Only allow registered users
  * @return {Context}
  */
-exports.suite = function({rules, driver} = {}) {
+exports.suite = function({rules, bolt, config, driver, users, strictUsers, lint: lintOpts = false} = {}) {
 
-  if (rules == null) {
+  if (rules == null && bolt == null && config == null) {
     throw new Error('A firebase test suite requires rules');
   }
 
+  const resolved = rulesModule.resolve({rules, bolt, config});
+
+  coverage.setup();
+
+  if (lintOpts) {
+    lint.run(resolved, lintOpts === true ? {} : lintOpts);
+  }
+
   return context.create({
-    rules,
+    rules: resolved,
+    users,
+    strictUsers,
     driver: driver == null ? exports.loadDriver() : driver
   });
 };
@@ -41,8 +136,8 @@ exports.suite = function({rules, driver} = {}) {
 /**
  * Try to instantiate one using environment variables.
  *
- * Expect FIREBASE_TEST_DRIVER_ID to be set a supported driver id ("live" or
- * "simulated" by default).
+ * Expect FIREBASE_TEST_DRIVER_ID to be set a supported driver id ("live",
+ * "emulator" or "simulated" by default).
  *
  * @param  {object} src Environment variable (default to `process.env`)
  * @return {{init: function(ctx: Context): void, exec: function(ctx: Context): Promise<void,Error>}}
@@ -52,6 +147,12 @@ exports.loadDriver = function({src} = {}) {
   const opts = env.filter({prefix, src});
   const {id = 'simulated'} = opts;
 
+  // FIREBASE_TEST_DRIVER_DATABASE_URL is camel cased to "databaseUrl".
+  if (opts.databaseUrl != null) {
+    opts.databaseURL = opts.databaseUrl;
+    delete opts.databaseUrl;
+  }
+
   if (drivers[id] == null) {
     throw new Error(`Unknown driver "${id}".`);
   }
@@ -0,0 +1,243 @@
+'use strict';
+
+const path = require('./path');
+const ruleset = require('./ruleset');
+
+const log = require('debug')('firebase-test:lint');
+
+/**
+ * Test a rule grants access unconditionally.
+ *
+ * @param  {string|boolean} rule Rule source
+ * @return {boolean}
+ */
+function isTrue(rule) {
+  return rule != null && String(rule).trim() === 'true';
+}
+
+/**
+ * Test a location is a descendant of another one.
+ *
+ * @param  {string}  location Location to test
+ * @param  {string}  parent   Possible ancestor
+ * @return {boolean}
+ */
+function isDescendant(location, parent) {
+  if (parent === '') {
+    return location !== '';
+  }
+
+  return location.startsWith(`${parent}/`);
+}
+
+/**
+ * Create a warning.
+ *
+ * @param  {string} code     Warning code
+ * @param  {string} location Rule node location
+ * @param  {string} message  Warning description
+ * @return {{code: string, path: string, message: string}}
+ */
+function warning(code, location, message) {
+  return {code, path: `/${location}`, message};
+}
+
+/**
+ * Checks, by warning code.
+ *
+ * Each check receives every rule node and returns a list of warnings.
+ *
+ * @type {object}
+ */
+const checks = {
+
+  'cascading-rule'(nodes) {
+    return ['.read', '.write'].reduce((warnings, kind) => warnings.concat(
+      ...nodes.filter(n => n.node[kind] != null && !isTrue(n.node[kind])).map(n => {
+        const grant = nodes.find(a => isTrue(a.node[kind]) && isDescendant(n.path, a.path));
+
+        if (grant == null) {
+          return [];
+        }
+
+        return [warning(
+          'cascading-rule',
+          n.path,
+          `"${kind}" rule is ignored: "/${grant.path}" already grants ${kind.slice(1)} access to its descendants.`
+        )];
+      })
+    ), []);
+  },
+
+  'unvalidated-wildchild'(nodes) {
+    return nodes.reduce((warnings, {path: location, node}) => {
+      const keys = Object.keys(node).filter(k => !k.startsWith('.'));
+      const wildchild = keys.find(k => k.startsWith('$'));
+      const validated = keys.filter(k => !k.startsWith('$') && node[k] != null && node[k]['.validate'] != null);
+
+      if (wildchild == null || validated.length === 0 || node[wildchild]['.validate'] != null) {
+        return warnings;
+      }
+
+      return warnings.concat(warning(
+        'unvalidated-wildchild',
+        path.child(location, wildchild),
+        `Any child can be written without validation while its siblings (${validated.join(', ')}) are validated.`
+      ));
+    }, []);
+  },
+
+  'wildchild-siblings'(nodes) {
+    return nodes.reduce((warnings, {path: location, node}) => {
+      const wildchildren = Object.keys(node).filter(k => k.startsWith('$'));
+
+      if (wildchildren.length < 2) {
+        return warnings;
+      }
+
+      return warnings.concat(warning(
+        'wildchild-siblings',
+        location,
+        `Wildchildren ${wildchildren.join(', ')} shadow each other; there can only be one wildchild at a given path.`
+      ));
+    }, []);
+  },
+
+  'unused-index'(nodes) {
+    const isReadable = location => nodes.some(
+      n => n.node['.read'] != null && String(n.node['.read']).trim() !== 'false' &&
+        (n.path === location || isDescendant(location, n.path))
+    );
+
+    return nodes.filter(n => n.node['.indexOn'] != null).reduce((warnings, {path: location, node}) => {
+      const keys = [].concat(node['.indexOn']);
+      const duplicates = keys.filter((key, i) => keys.indexOf(key) !== i);
+
+      if (!isReadable(location)) {
+        return warnings.concat(warning(
+          'unused-index',
+          location,
+          'The location cannot be read; its ".indexOn" entries cannot be used by queries.'
+        ));
+      }
+
+      return warnings.concat(duplicates.map(key => warning(
+        'unused-index',
+        location,
+        `The ".indexOn" entry "${key}" is duplicated.`
+      )));
+    }, []);
+  },
+
+  'auth-without-uid'(nodes) {
+    return nodes.filter(n => n.path.split('/').some(key => key.startsWith('$'))).reduce(
+      (warnings, {path: location, node}) => {
+        const rule = node['.write'];
+        const checksAuth = typeof rule === 'string' && /\bauth\s*!=\s*null\b|\bnull\s*!=\s*auth\b/.test(rule);
+
+        if (!checksAuth || /\bauth\s*\.|\bauth\s*\[/.test(rule)) {
+          return warnings;
+        }
+
+        return warnings.concat(warning(
+          'auth-without-uid',
+          location,
+          '".write" rule only checks the user is authenticated; any user can write it (compare "auth.uid" with the location?).'
+        ));
+      },
+      []
+    );
+  }
+
+};
+
+/**
+ * Warning codes.
+ *
+ * @type {string[]}
+ */
+exports.codes = Object.keys(checks);
+
+/**
+ * Report rules lint warnings.
+ */
+class LintError extends Error {
+
+  /**
+   * LintError constructor.
+   *
+   * @param  {array} warnings Lint warnings
+   */
+  constructor(warnings) {
+    super([`${warnings.length} rules lint warning(s):`].concat(warnings.map(exports.format)).join('\n'));
+
+    this.warnings = warnings;
+  }
+
+}
+
+exports.LintError = LintError;
+
+/**
+ * Format a warning.
+ *
+ * @param  {{code: string, path: string, message: string}} w Warning
+ * @return {string}
+ */
+exports.format = function(w) {
+  return `  ${w.path}: ${w.message} (${w.code})`;
+};
+
+/**
+ * Check rules for common mistakes.
+ *
+ * Returns the list of warnings ({code, path, message}); in strict mode, it
+ * throws a `LintError` holding them instead.
+ *
+ * @param  {object}   rules            Rules definition ({rules: {...}})
+ * @param  {boolean}  [options.strict] Throw if there is any warning
+ * @param  {string[]} [options.ignore] Warning codes to ignore
+ * @return {Array<{code: string, path: string, message: string}>}
+ */
+exports.check = function(rules, {strict = false, ignore = []} = {}) {
+  const nodes = ruleset.nodes(rules);
+  const warnings = exports.codes
+    .filter(code => ignore.indexOf(code) === -1)
+    .reduce((list, code) => list.concat(checks[code](nodes)), []);
+
+  if (strict && warnings.length > 0) {
+    throw new LintError(warnings);
+  }
+
+  return warnings;
+};
+
+/**
+ * Rules already reported by `run`.
+ *
+ * @type {WeakSet<object>}
+ */
+const reported = new WeakSet();
+
+/**
+ * Check rules and log the warnings (with the "firebase-test:lint" debug
+ * namespace).
+ *
+ * The warnings of a rules definition are only logged once (suites are
+ * usually created before each test).
+ *
+ * @param  {object}   rules            Rules definition ({rules: {...}})
+ * @param  {boolean}  [options.strict] Throw if there is any warning
+ * @param  {string[]} [options.ignore] Warning codes to ignore
+ * @return {Array<{code: string, path: string, message: string}>}
+ */
+exports.run = function(rules, {strict, ignore} = {}) {
+  const warnings = exports.check(rules, {strict, ignore});
+
+  if (warnings.length > 0 && !reported.has(rules)) {
+    reported.add(rules);
+    log([`${warnings.length} rules lint warning(s):`].concat(warnings.map(exports.format)).join('\n'));
+  }
+
+  return warnings;
+};
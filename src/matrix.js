@@ -0,0 +1,208 @@
+'use strict';
+
+const errors = require('./errors');
+
+/**
+ * Normalize an expected outcome.
+ *
+ * @param  {string|boolean} value Expected outcome ("allow", "allowed", true, "deny", "denied" or false)
+ * @return {string}
+ */
+exports.outcome = function(value) {
+  if (value === true || value === 'allow' || value === 'allowed') {
+    return 'allowed';
+  }
+
+  if (value === false || value === 'deny' || value === 'denied') {
+    return 'denied';
+  }
+
+  throw new Error(`Invalid expected outcome: ${JSON.stringify(value)}.`);
+};
+
+/**
+ * Operation types a matrix operation descriptor can use.
+ *
+ * @type {string[]}
+ */
+exports.operations = ['get', 'set', 'update', 'push', 'transaction', 'remove'];
+
+/**
+ * Fork a context and add an operation from its descriptor.
+ *
+ * @param  {Context} ctx                  Context to add the operation to
+ * @param  {string}  descriptor.op        Operation type ("get", "set", "update", "push", "transaction" or "remove")
+ * @param  {string}  descriptor.path      Operation location
+ * @param  {any}     [descriptor.value]   Operation value (or update function for a transaction)
+ * @param  {object}  [descriptor.options] Operation options
+ * @return {Context}
+ */
+exports.apply = function(ctx, {op, path, value, options}) {
+  switch (op) {
+
+  case 'get':
+  case 'remove':
+    return ctx[op](path, options);
+
+  case 'set':
+  case 'update':
+  case 'push':
+  case 'transaction':
+    return ctx[op](path, value, options);
+
+  default:
+    throw new Error(`Unknown operation type "${op}".`);
+
+  }
+};
+
+/**
+ * Expand a permission matrix into its cells.
+ *
+ * Each cell is the expected outcome of an operation for a user.
+ *
+ * @param  {object} options.users  Map of user name to their claims (null for a guest)
+ * @param  {object} options.ops    Map of operation name to their descriptor ({op, path, value, options})
+ * @param  {object} options.expect Map of user name to a map of operation name to their expected outcome
+ * @return {Array<{user: string, op: string, expected: string}>}
+ */
+exports.expand = function({users, ops, expect} = {}) {
+  if (users == null || ops == null || expect == null) {
+    throw new Error('A permission matrix requires users, ops and expect.');
+  }
+
+  return Object.keys(users).reduce((cells, user) => {
+    const row = expect[user];
+
+    if (row == null) {
+      throw new Error(`Missing expected outcomes for user "${user}".`);
+    }
+
+    return cells.concat(Object.keys(ops).map(op => {
+      if (ops[op] == null || exports.operations.indexOf(ops[op].op) === -1) {
+        throw new Error(`Invalid descriptor for operation "${op}".`);
+      }
+
+      if (row[op] === undefined) {
+        throw new Error(`Missing expected outcome for user "${user}" and operation "${op}".`);
+      }
+
+      return {user, op, expected: exports.outcome(row[op])};
+    }));
+  }, []);
+};
+
+/**
+ * Report the failure of a permission matrix cell.
+ */
+class CellError extends Error {
+
+  /**
+   * CellError constructor.
+   *
+   * @param  {object} cell     The matrix cell ({user, op, expected})
+   * @param  {Error}  original Error the cell sequence failed with
+   */
+  constructor(cell, original) {
+    const mismatch = original instanceof errors.OperationError;
+
+    super(`${cell.user} × ${cell.op}: ${original == null ? original : original.message}`);
+
+    this.user = cell.user;
+    this.op = cell.op;
+    this.expected = cell.expected;
+    this.mismatch = mismatch;
+    this.skipped = original instanceof errors.SkipError;
+    this.original = original;
+
+    if (mismatch) {
+      this.actual = original.allowed ? 'allowed' : 'denied';
+    }
+  }
+
+}
+
+exports.CellError = CellError;
+
+/**
+ * Render a cell of the matrix grid.
+ *
+ * @param  {object}    cell    The matrix cell ({user, op, expected})
+ * @param  {CellError} [error] The cell failure
+ * @return {string}
+ */
+function renderCell(cell, error) {
+  if (error == null) {
+    return cell.expected;
+  }
+
+  if (error.skipped) {
+    return 'skipped';
+  }
+
+  if (error.mismatch) {
+    return `${error.actual.toUpperCase()} (expected ${cell.expected})`;
+  }
+
+  return `ERROR (expected ${cell.expected})`;
+}
+
+/**
+ * Render the matrix cells outcomes as a grid.
+ *
+ * @param  {array} cells    Matrix cells
+ * @param  {array} failures Failed cells errors
+ * @return {string}
+ */
+exports.format = function(cells, failures = []) {
+  const users = cells.map(c => c.user).filter((user, i, list) => list.indexOf(user) === i);
+  const ops = cells.map(c => c.op).filter((op, i, list) => list.indexOf(op) === i);
+  const find = cell => failures.find(e => e.user === cell.user && e.op === cell.op);
+  const rows = [[''].concat(ops)].concat(users.map(user => [user].concat(ops.map(op => {
+    const cell = cells.find(c => c.user === user && c.op === op);
+
+    return renderCell(cell, find(cell));
+  }))));
+  const widths = rows[0].map((_, col) => Math.max(...rows.map(row => row[col].length)));
+  const line = row => row.map((text, col) => text + ' '.repeat(widths[col] - text.length)).join(' | ').replace(/\s+$/, '');
+  const separator = widths.map(w => '-'.repeat(w)).join('-+-');
+
+  return [line(rows[0]), separator].concat(rows.slice(1).map(line)).join('\n');
+};
+
+/**
+ * Report every cell of a permission matrix which did not match its expected
+ * outcome.
+ */
+class MatrixError extends Error {
+
+  /**
+   * MatrixError constructor.
+   *
+   * @param  {array} cells    Matrix cells
+   * @param  {array} failures Failed cells errors (CellError)
+   */
+  constructor(cells, failures) {
+    const failed = failures.filter(e => !e.skipped);
+    const others = failed.filter(e => !e.mismatch);
+    const lines = [
+      `${failed.length} of ${cells.length} permission matrix cells failed:`,
+      '',
+      exports.format(cells, failures)
+    ];
+
+    if (others.length > 0) {
+      lines.push('', 'Errors:');
+      others.forEach(e => lines.push(`  ${e.message}`));
+    }
+
+    super(lines.join('\n'));
+
+    this.cells = cells;
+    this.failures = failed;
+    this.mismatches = failed.filter(e => e.mismatch);
+  }
+
+}
+
+exports.MatrixError = MatrixError;
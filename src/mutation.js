@@ -0,0 +1,307 @@
+'use strict';
+
+const context = require('./context');
+const pathModule = require('path');
+const q = require('./promise');
+const regression = require('./regression');
+const rulesModule = require('./rules');
+const ruleset = require('./ruleset');
+const simulated = require('./drivers/simulated');
+
+/**
+ * Rule kinds to mutate.
+ *
+ * @type {string[]}
+ */
+const kinds = ['.read', '.write', '.validate'];
+
+/**
+ * Hide the content of string literals of a rule (keeping its length) so that
+ * operators can be searched.
+ *
+ * @param  {string} rule Rule source
+ * @return {string}
+ */
+function mask(rule) {
+  return rule.replace(/(["'])(?:\\.|(?!\1)[^\\])*\1/g, literal => '_'.repeat(literal.length));
+}
+
+/**
+ * Split a rule in its top level "&&" clauses.
+ *
+ * @param  {string} rule Rule source
+ * @return {string[]}
+ */
+function clauses(rule) {
+  const masked = mask(rule);
+  const bounds = [0];
+  let depth = 0;
+
+  for (let i = 0; i < masked.length; i++) {
+    if (masked[i] === '(') {
+      depth += 1;
+    } else if (masked[i] === ')') {
+      depth -= 1;
+    } else if (depth === 0 && masked.startsWith('&&', i)) {
+      bounds.push(i, i + 2);
+      i += 1;
+    }
+  }
+
+  bounds.push(rule.length);
+
+  return bounds.reduce((list, bound, i) => {
+    if (i % 2 === 1) {
+      return list;
+    }
+
+    return list.concat(rule.slice(bound, bounds[i + 1]).trim());
+  }, []);
+}
+
+/**
+ * Mutation operators.
+ *
+ * Each operator receives a rule kind and source, and returns the list of
+ * mutated sources ("null" removing the rule).
+ *
+ * @type {object}
+ */
+const operators = {
+
+  'negate-equality'(kind, rule) {
+    const flip = {'==': '!=', '!=': '==', '===': '!==', '!==': '==='};
+    const pattern = /!==|===|!=|==/g;
+    const masked = mask(rule);
+    const mutants = [];
+    let match;
+
+    while ((match = pattern.exec(masked)) !== null) {
+      const op = match[0];
+
+      mutants.push(rule.slice(0, match.index) + flip[op] + rule.slice(match.index + op.length));
+    }
+
+    return mutants;
+  },
+
+  'always-true'(kind, rule) {
+    if (kind === '.validate' || rule.trim() === 'true') {
+      return [];
+    }
+
+    return ['true'];
+  },
+
+  'drop-clause'(kind, rule) {
+    const list = clauses(rule);
+
+    if (list.length < 2) {
+      return [];
+    }
+
+    return list.map((clause, i) => list.filter((_, j) => j !== i).join(' && '));
+  },
+
+  'remove-validate'(kind) {
+    return kind === '.validate' ? [null] : [];
+  }
+
+};
+
+/**
+ * Mutation operator names.
+ *
+ * @type {string[]}
+ */
+exports.operators = Object.keys(operators);
+
+/**
+ * Copy rules with one rule replaced.
+ *
+ * @param  {object}      rules    Rules definition ({rules: {...}})
+ * @param  {string}      location Rule node location
+ * @param  {string}      kind     Rule kind (".read", ".write" or ".validate")
+ * @param  {string|null} rule     New rule source (null to remove the rule)
+ * @return {object}
+ */
+function replace(rules, location, kind, rule) {
+  const copy = JSON.parse(JSON.stringify(rules));
+  const node = location === '' ? copy.rules : location.split('/').reduce((parent, key) => parent[key], copy.rules);
+
+  if (rule === null) {
+    delete node[kind];
+  } else {
+    node[kind] = rule;
+  }
+
+  return copy;
+}
+
+/**
+ * List the mutants of rules.
+ *
+ * The mutated rules of a mutant are built each time its `rules` property is
+ * read; they are not all held in memory.
+ *
+ * @param  {object}   rules               Rules definition ({rules: {...}})
+ * @param  {string[]} [options.operators] Mutation operators to apply (all by default)
+ * @return {Array<{id: number, path: string, kind: string, operator: string, original: string, mutated: string, rules: object}>}
+ */
+exports.mutants = function(rules, {operators: names = exports.operators} = {}) {
+  const unknown = names.filter(name => operators[name] == null);
+
+  if (unknown.length > 0) {
+    throw new Error(`Unknown mutation operator(s): ${unknown.join(', ')}.`);
+  }
+
+  let id = 0;
+
+  return ruleset.nodes(rules).reduce((list, {path: location, node}) => list.concat(
+    ...kinds.filter(kind => node[kind] != null).map(kind => {
+      const original = String(node[kind]);
+
+      return names.reduce((all, operator) => all.concat(operators[operator](kind, original).map(mutated => {
+        id += 1;
+
+        return {
+          id,
+          path: `/${location}`,
+          kind,
+          operator,
+          original,
+          mutated,
+          get rules() {
+            return replace(rules, location, kind, mutated);
+          }
+        };
+      })), []);
+    })
+  ), []);
+};
+
+/**
+ * Run the sequences against a mutant and list the sequences failing.
+ *
+ * @param  {array}  sequences Named sequences
+ * @param  {object} rules     Mutated rules
+ * @return {Promise<string[],Error>}
+ */
+function failing(sequences, rules) {
+  return sequences.reduce((chain, {name, ctx}) => chain.then(failed => ctx.withRules(rules).then(
+    () => failed,
+    () => failed.concat(name)
+  )), Promise.resolve([]));
+}
+
+/**
+ * Test the suite would catch weakened rules.
+ *
+ * Each mutant of the rules (see `mutants`) is tested with the suite
+ * sequences, using the simulated driver; a mutant is killed if any sequence
+ * fails (an operation outcome differs from its marker, see `Context#allowed`
+ * and `Context#denied`, or a data expectation fails), and survives otherwise.
+ * Mutants which cannot be compiled are reported as invalid. Each mutant is
+ * compiled once for all the sequences; mutants are tested one after the
+ * other (the simulated driver evaluates sequences synchronously).
+ *
+ * The sequences are defined by a function receiving a suite and returning a
+ * sequence, a list of sequences or a map of named sequences; it can be the
+ * default export of `suiteFile`. They must all pass with the original rules.
+ *
+ * @param  {object|string}          options.rules       Rules (or rules file path)
+ * @param  {string}                 [options.suiteFile] Module exporting the sequences function
+ * @param  {function(Context): any} [options.sequences] Sequences function
+ * @param  {string[]}               [options.operators] Mutation operators to apply (all by default)
+ * @return {Promise<object,Error>}
+ */
+exports.run = function({rules, suiteFile, sequences, operators: names} = {}) {
+  const define = suiteFile == null ? sequences : require(pathModule.resolve(suiteFile));
+
+  if (rules == null || typeof define !== 'function') {
+    return Promise.reject(new Error('Mutation testing requires rules, and a suite file or a sequences function.'));
+  }
+
+  const original = rulesModule.resolve({rules});
+  const suite = context.create({rules: original, driver: simulated.create()});
+  const named = regression.list(define(suite));
+  const mutants = exports.mutants(original, {operators: names});
+
+  return failing(named, original).then(failed => {
+    if (failed.length > 0) {
+      return Promise.reject(new Error(`The sequences must pass with the original rules; failing: ${failed.join(', ')}.`));
+    }
+
+    const results = mutants.map(m => ({
+      id: m.id,
+      path: m.path,
+      kind: m.kind,
+      operator: m.operator,
+      original: m.original,
+      mutated: m.mutated
+    }));
+    const tests = mutants.map((mutant, i) => q.thenable(() => {
+      const mutated = mutant.rules;
+
+      try {
+        suite.withRules(mutated);
+      } catch (e) {
+        Object.assign(results[i], {status: 'invalid', error: e.message});
+
+        return undefined;
+      }
+
+      return failing(named, mutated).then(killedBy => Object.assign(results[i], {
+        status: killedBy.length > 0 ? 'killed' : 'survived',
+        killedBy
+      }));
+    }));
+
+    return q.all(tests).then(() => {
+      const count = status => results.filter(r => r.status === status).length;
+      const killed = count('killed');
+      const survived = count('survived');
+
+      return {
+        total: results.length,
+        killed,
+        survived,
+        invalid: count('invalid'),
+        score: killed + survived === 0 ? 100 : Math.floor(10000 * killed / (killed + survived)) / 100,
+        mutants: results
+      };
+    });
+  });
+};
+
+/**
+ * Render a mutation testing report as text, listing the surviving mutants.
+ *
+ * @param  {object} report Mutation testing report
+ * @return {string}
+ */
+exports.toText = function(report) {
+  const header = `Mutation score: ${report.score}% (${report.killed} killed, ${report.survived} survived, ` +
+    `${report.invalid} invalid, ${report.total} mutants)`;
+  const survivors = report.mutants.filter(m => m.status === 'survived').map(m => {
+    const mutated = m.mutated === null ? 'removed' : JSON.stringify(m.mutated);
+
+    return `  ${m.path} ${m.kind}: ${JSON.stringify(m.original)} -> ${mutated} (${m.operator})`;
+  });
+
+  if (survivors.length === 0) {
+    return `${header}\n`;
+  }
+
+  return `${header}\n\nSurviving mutants:\n${survivors.join('\n')}\n`;
+};
+
+/**
+ * Render a mutation testing report as JSON.
+ *
+ * @param  {object} report Mutation testing report
+ * @return {string}
+ */
+exports.toJSON = function(report) {
+  return JSON.stringify(report, null, 2);
+};
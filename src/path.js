@@ -7,3 +7,14 @@ exports.trim = function(path = '') {
 exports.join = function(...paths) {
   return [].concat(...paths).map(s => exports.trim(s)).join('/');
 };
+
+/**
+ * Location of a child node; the root location is the empty path.
+ *
+ * @param  {string} parent Parent location
+ * @param  {string} key    Child key
+ * @return {string}
+ */
+exports.child = function(parent, key) {
+  return parent === '' ? exports.trim(key) : exports.join(parent, key);
+};
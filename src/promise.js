@@ -2,15 +2,62 @@
 
 const once = require('lodash.once');
 
+/**
+ * Report the failed assertions of `all`.
+ *
+ * The `report` property holds the result of every assertion (see `all`).
+ */
 class MultipleError extends Error {
 
-  constructor(errors = []) {
-    const msg = errors.map(e => e.stack).join('/n/n');
+  /**
+   * MultipleError constructor.
+   *
+   * @param  {object} report Assertions report
+   */
+  constructor(report) {
+    const failed = list(report.results).filter(r => r.status === 'failed');
+    const lines = [`${failed.length} of ${report.summary.total} assertions failed:`].concat(
+      failed.map(r => {
+        const reason = r.error != null && r.error.message != null ? r.error.message : String(r.error);
+
+        return `\n${label(r)}: ${reason}`;
+      })
+    );
+
+    super(lines.join('\n'));
 
-    super(msg);
+    this.report = report;
+    this.errors = failed.map(r => r.error);
+  }
+
+}
 
-    this.errors = errors;
+exports.MultipleError = MultipleError;
+
+/**
+ * List results held in an array or in a map of named results.
+ *
+ * @param  {array|object} results Results
+ * @return {array}
+ */
+function list(results) {
+  if (Array.isArray(results)) {
+    return results;
   }
+
+  return Object.keys(results).map(key => results[key]);
+}
+
+/**
+ * Describe an assertion result.
+ *
+ * @param  {object} result Assertion result
+ * @return {string}
+ */
+function label(result) {
+  const name = result.name == null ? `#${result.index + 1}` : `"${result.name}"`;
+
+  return result.message == null ? name : `${name} (${result.message})`;
 }
 
 /**
@@ -19,15 +66,20 @@ class MultipleError extends Error {
  * Unlike Promise.resolve, it takes a function returning a value and to action
  * takes place until one of the method is called
  *
- * @param  {function(): any} resolver Its returned value will be resolved as a promised
- * @return {{then: function(cb, cb): Promise, catch: function(cb): Promise, asCallback: function(done): void}}
+ * @param  {function(): any} resolver             Its returned value will be resolved as a promised
+ * @param  {string}          [options.message]    Description of the assertion (reported by `all`)
+ * @param  {boolean}         [options.concurrent] Can it run concurrently with other assertions (see `all.withOptions`)
+ * @return {{then: function(cb, cb): Promise, catch: function(cb): Promise, asCallback: function(done): void, message: string, concurrent: boolean}}
  */
-exports.thenable = function(resolver) {
+exports.thenable = function(resolver, {message, concurrent = false} = {}) {
   const cached = once(
     () => new Promise(resolve => resolve(resolver()))
   );
 
   return {
+    message,
+    concurrent,
+
     then(onFulfilled, onRejected) {
       return cached().then(onFulfilled, onRejected);
     },
@@ -73,34 +125,153 @@ exports.run = function(...thenables) {
 };
 
 /**
- * Run all thenable assertions sequentially.
+ * Run thenables with at most `concurrency` of them pending at once.
  *
- * It will report any failed assertions.
+ * @param  {array}                                 items       Thenables to run
+ * @param  {number}                                concurrency Maximum number of pending thenables
+ * @param  {function(any, number): Promise<any>}   run         Run an item, given its position
+ * @return {Promise<array>}
+ */
+function pool(items, concurrency, run) {
+  const results = new Array(items.length);
+  let next = 0;
+  const worker = () => {
+    if (next >= items.length) {
+      return Promise.resolve();
+    }
+
+    const index = next++;
+
+    return run(items[index], index).then(result => {
+      results[index] = result;
+
+      return worker();
+    });
+  };
+  const workers = Array.from({length: Math.min(concurrency, items.length)}, worker);
+
+  return Promise.all(workers).then(() => results);
+}
+
+/**
+ * Test an argument is a map of named thenables.
+ *
+ * @param  {any} value Argument to test
+ * @return {boolean}
+ */
+function isPlainObject(value) {
+  return value != null && typeof value === 'object' && !Array.isArray(value) && typeof value.then !== 'function';
+}
+
+/**
+ * Run a list of thenable assertions and report their results (see `all`).
+ *
+ * @param  {array}  items       Thenables
+ * @param  {array}  [names]     Name of each thenable
+ * @param  {number} concurrency Maximum number of pending thenables
+ * @return {Promise<object,MultipleError>}
+ */
+function report(items, names, concurrency) {
+  const concurrent = items.every(thenable => thenable.concurrent === true);
+  const start = Date.now();
+
+  const run = (thenable, index) => {
+    const started = Date.now();
+    const result = {index, message: thenable.message};
+
+    if (names != null) {
+      result.name = names[index];
+    }
+
+    return Promise.resolve(thenable).then(
+      () => Object.assign(result, {status: 'passed'}),
+      error => Object.assign(result, {status: error != null && error.skipped === true ? 'skipped' : 'failed', error})
+    ).then(r => Object.assign(r, {duration: Date.now() - started}));
+  };
+
+  return pool(items, concurrent ? Math.max(1, concurrency) : 1, run).then(results => {
+    const count = status => results.filter(r => r.status === status).length;
+    const summary = {
+      total: results.length,
+      passed: count('passed'),
+      failed: count('failed'),
+      skipped: count('skipped'),
+      duration: Date.now() - start
+    };
+    const byName = () => results.reduce((map, r) => Object.assign(map, {[r.name]: r}), {});
+    const outcome = {results: names == null ? results : byName(), summary};
+
+    if (summary.failed > 0) {
+      return Promise.reject(new MultipleError(outcome));
+    }
+
+    return outcome;
+  });
+}
+
+/**
+ * Run all thenable assertions.
+ *
+ * It runs every assertion and resolves with a report of each assertion
+ * result, or rejects with a `MultipleError` holding that report if any failed.
+ * Assertions rejected with a `SkipError` are reported as skipped.
+ *
+ * The report holds a result for each assertion ({index, name, message,
+ * status, duration, error}) and a summary ({total, passed, failed, skipped,
+ * duration}). The assertions can be given as maps of named thenables, in
+ * which case the results are keyed by name.
+ *
+ * Assertions run sequentially; see `all.withOptions` to let them run
+ * concurrently.
  *
  * @example
  *   const suite = firebaseTest.suite({rules});
  *
- *   return firebaseTest.all(
- *     suite.as(null).set('/', true).shouldFail('unauthenticated user cannot write data'),
- *     suite.as({uid: bob}}).set('/', true).shouldFail('regular user cannot write root data'),
- *     suite.as({uid: alice, role: 'admin'}).set('/', true).ok('admin user can write root data'),
- *   );
+ *   return firebaseTest.all({
+ *     'unauthenticated user cannot write data': suite.asGuest().set('/', true).shouldFail(),
+ *     'regular user cannot write root data': suite.as('bob').set('/', true).shouldFail(),
+ *     'admin user can write root data': suite.as('alice', {admin: true}).set('/', true).ok()
+ *   }).then(report => console.log(report.summary));
  *
- * @param  {...Promise<void,Error>} thenables Thenables returned by Context#ok or Context#shouldFail
- * @return {Promise<void,Error>}
+ * @param  {...Promise<void,Error>|object} thenables Thenables returned by Context#ok or Context#shouldFail, lists
+ *                                                   of them, or maps of named thenables
+ * @return {Promise<object,MultipleError>}
  */
 exports.all = function(...thenables) {
-  return [].concat(...thenables).reduce(
-    (chain, thenable) => chain.then(failures => thenable.then(
-      () => failures,
-      err => failures.concat(err)
-    )),
-    Promise.resolve([])
-  ).then(failures => {
-    if (failures.length === 0) {
-      return;
-    }
+  if (thenables.length > 0 && thenables.every(isPlainObject)) {
+    return exports.all.withOptions(Object.assign({}, ...thenables));
+  }
 
-    return Promise.reject(new MultipleError(failures));
-  });
+  const items = [].concat(...thenables);
+
+  if (items.some(isPlainObject)) {
+    return Promise.reject(new Error('Cannot mix maps of named assertions with other assertions.'));
+  }
+
+  return exports.all.withOptions(items);
+};
+
+/**
+ * Run all thenable assertions with options (see `all`).
+ *
+ * With the `concurrency` option, up to `concurrency` assertions can be
+ * pending at once if every assertion allows it; only the emulator driver
+ * does. The simulated driver evaluates sequences synchronously and the live
+ * driver must run them one at a time.
+ *
+ * @example
+ *   return firebaseTest.all.withOptions(assertions, {concurrency: 8});
+ *
+ * @param  {array|object} thenables             List of thenables, or map of named thenables
+ * @param  {number}       [options.concurrency] Maximum number of pending assertions (1 by default)
+ * @return {Promise<object,MultipleError>}
+ */
+exports.all.withOptions = function(thenables, {concurrency = 1} = {}) {
+  if (isPlainObject(thenables)) {
+    const names = Object.keys(thenables);
+
+    return report(names.map(name => thenables[name]), names, concurrency);
+  }
+
+  return report([].concat(thenables), null, concurrency);
 };
@@ -0,0 +1,140 @@
+'use strict';
+
+const path = require('./path');
+const ruleset = require('./ruleset');
+
+/**
+ * Query options supported by `Context#get`.
+ *
+ * @type {string[]}
+ */
+exports.keys = [
+  'orderByChild',
+  'orderByKey',
+  'orderByValue',
+  'orderByPriority',
+  'startAt',
+  'endAt',
+  'equalTo',
+  'limitToFirst',
+  'limitToLast'
+];
+
+/**
+ * Extract the query parameters from operation options.
+ *
+ * @param  {object} options Operation options
+ * @return {object|null}
+ */
+exports.pick = function(options = {}) {
+  const keys = exports.keys.filter(key => options[key] !== undefined);
+
+  if (keys.length === 0) {
+    return null;
+  }
+
+  return keys.reduce(
+    (query, key) => Object.assign(query, {[key]: options[key]}),
+    {}
+  );
+};
+
+/**
+ * Return the ordering parameter value as expected by the REST API.
+ *
+ * @param  {object} query Query parameters
+ * @return {string}
+ */
+function orderBy(query) {
+  if (query.orderByChild != null) {
+    return query.orderByChild;
+  }
+
+  if (query.orderByValue) {
+    return '$value';
+  }
+
+  if (query.orderByPriority) {
+    return '$priority';
+  }
+
+  return '$key';
+}
+
+/**
+ * Convert query parameters to REST query string parameters.
+ *
+ * Parameters values are JSON encoded and the order defaults to "$key".
+ *
+ * @param  {object} query Query parameters
+ * @return {object}
+ */
+exports.toParams = function(query) {
+  if (query == null) {
+    return {};
+  }
+
+  return ['startAt', 'endAt', 'equalTo', 'limitToFirst', 'limitToLast'].reduce(
+    (params, key) => {
+      if (query[key] != null) {
+        params[key] = JSON.stringify(query[key]);
+      }
+
+      return params;
+    },
+    {orderBy: JSON.stringify(orderBy(query))}
+  );
+};
+
+/**
+ * Find the ".indexOn" rule of a location.
+ *
+ * @param  {object} rules Rules definition
+ * @param  {string} paths Location
+ * @return {string[]}
+ */
+exports.indexOn = function(rules, paths) {
+  const found = ruleset.find(rules, paths);
+
+  if (found == null || found.node['.indexOn'] == null) {
+    return [];
+  }
+
+  return [].concat(found.node['.indexOn']);
+};
+
+/**
+ * Return the index a query requires (a child key or ".value"), if any.
+ *
+ * @param  {object} query Query parameters
+ * @return {string|void}
+ */
+exports.index = function(query) {
+  if (query == null) {
+    return undefined;
+  }
+
+  return query.orderByValue ? '.value' : query.orderByChild;
+};
+
+/**
+ * Check a query ordering by a child or by value is indexed.
+ *
+ * Throws an error similar to the one the Firebase REST API would return if the
+ * index is not defined.
+ *
+ * @param  {object} rules Rules definition
+ * @param  {string} paths Location to query
+ * @param  {object} query Query parameters
+ */
+exports.assertIndexed = function(rules, paths, query) {
+  const index = exports.index(query);
+
+  if (index == null || exports.indexOn(rules, paths).indexOf(index) > -1) {
+    return;
+  }
+
+  throw new Error(
+    `Index not defined, add ".indexOn": "${index}", for path "/${path.join(paths)}", to the rules`
+  );
+};
@@ -0,0 +1,220 @@
+'use strict';
+
+const context = require('./context');
+const data = require('./data');
+const errors = require('./errors');
+const path = require('./path');
+const pathModule = require('path');
+const rulesModule = require('./rules');
+const simulated = require('./drivers/simulated');
+
+/**
+ * List named sequences.
+ *
+ * Sequences of a list are named after their position ("#1", "#2", ...).
+ *
+ * @param  {Context|array|object} sequences A sequence, a list of sequences or a map of named sequences
+ * @return {Array<{name: string, ctx: Context}>}
+ */
+exports.list = function(sequences) {
+  if (typeof sequences.fork === 'function') {
+    return [{name: '#1', ctx: sequences}];
+  }
+
+  if (Array.isArray(sequences)) {
+    return sequences.map((ctx, i) => ({name: `#${i + 1}`, ctx}));
+  }
+
+  return Object.keys(sequences).map(name => ({name, ctx: sequences[name]}));
+};
+
+/**
+ * Evaluate every operation of a sequence.
+ *
+ * The sequence is simulated until it completes; each time an operation outcome
+ * is unexpected, the operation is marked with its actual outcome and the
+ * sequence is simulated again.
+ *
+ * @param  {Context}          ctx   Sequence to evaluate
+ * @param  {function(): void} reset Reset the push ID generator
+ * @return {{outcomes: Array<string|null>, data: any, error: string}}
+ */
+function evaluate(ctx, reset) {
+  reset();
+
+  try {
+    const result = ctx.driver.exec(ctx);
+    const outcomes = ctx.ops.map(operation => {
+      if (operation.op === 'advanceTime') {
+        return null;
+      }
+
+      return operation.expected || 'allowed';
+    });
+
+    return {outcomes, data: data.normalize(result)};
+  } catch (e) {
+    if (!(e instanceof errors.OperationError)) {
+      return {outcomes: [], data: null, error: e.message};
+    }
+
+    const fork = ctx.fork();
+
+    fork.ops[e.index] = Object.assign({}, fork.ops[e.index], {expected: e.allowed ? 'allowed' : 'denied'});
+
+    return evaluate(fork, reset);
+  }
+}
+
+/**
+ * Map each leaf location of a tree to its value.
+ *
+ * @param  {any}    tree   Tree to flatten
+ * @param  {string} [root] Location of the tree
+ * @return {object}
+ */
+function leaves(tree, root = '') {
+  if (tree == null || typeof tree !== 'object') {
+    return tree == null ? {} : {[root]: tree};
+  }
+
+  return Object.keys(tree).reduce(
+    (map, key) => Object.assign(map, leaves(tree[key], path.child(root, key))),
+    {}
+  );
+}
+
+/**
+ * Replace undefined with null.
+ *
+ * @param  {any} value Value to replace
+ * @return {any}
+ */
+function orNull(value) {
+  return value === undefined ? null : value;
+}
+
+/**
+ * Compare the evaluations of a sequence under two rule sets.
+ *
+ * @param  {string}  name   Sequence name
+ * @param  {Context} ctx    Sequence (with the rules to compare with)
+ * @param  {object}  before Evaluation with the previous rules
+ * @param  {object}  after  Evaluation with the new rules
+ * @return {{name: string, changed: boolean, operations: array, data: array, error: object}}
+ */
+function compare(name, ctx, before, after) {
+  const operations = ctx.ops.map((operation, index) => ({
+    index,
+    description: errors.describe(index, operation),
+    before: before.outcomes[index],
+    after: after.outcomes[index]
+  })).filter(o => (o.before != null || o.after != null) && o.before !== o.after);
+  const beforeLeaves = leaves(before.data);
+  const afterLeaves = leaves(after.data);
+  const changes = Object.keys(Object.assign({}, beforeLeaves, afterLeaves)).sort()
+    .filter(key => beforeLeaves[key] !== afterLeaves[key])
+    .map(key => ({path: key, before: orNull(beforeLeaves[key]), after: orNull(afterLeaves[key])}));
+  const result = {name, changed: operations.length > 0 || changes.length > 0, operations, data: changes};
+
+  if (before.error !== after.error) {
+    result.changed = true;
+    result.error = {before: before.error, after: after.error};
+  }
+
+  return result;
+}
+
+/**
+ * Run the same sequences under two rule sets and list every sequence whose
+ * operations outcome or final data changed.
+ *
+ * The sequences are defined by a function receiving a suite (using the
+ * previous rules) and returning a sequence, a list of sequences or a map of
+ * named sequences; it can be the default export of `suiteFile`. Each sequence
+ * is then simulated with both rules; without a fixed time (see
+ * `Context#atTime`) it runs at the time of the comparison.
+ *
+ * @param  {object|string}          options.before      Previous rules (or rules file path)
+ * @param  {object|string}          options.after       New rules (or rules file path)
+ * @param  {string}                 [options.suiteFile] Module exporting the sequences function
+ * @param  {function(Context): any} [options.sequences] Sequences function
+ * @return {{before: string, after: string, total: number, changed: number, sequences: array}}
+ */
+exports.diff = function({before, after, suiteFile, sequences} = {}) {
+  const define = suiteFile == null ? sequences : require(pathModule.resolve(suiteFile));
+
+  if (before == null || after == null || typeof define !== 'function') {
+    throw new Error('A rules diff requires before and after rules, and a suite file or a sequences function.');
+  }
+
+  let count = 0;
+  const reset = () => {
+    count = 0;
+  };
+  const driver = simulated.create({uniqID: () => `--firebase-test-id-${count++}--`});
+  const beforeRules = rulesModule.resolve({rules: before});
+  const afterRules = rulesModule.resolve({rules: after});
+  const now = Date.now();
+  const suite = context.create({rules: beforeRules, driver});
+  const results = exports.list(define(suite)).map(({name, ctx}) => {
+    const timed = ctx.time == null ? ctx.atTime(now) : ctx;
+
+    return compare(name, timed, evaluate(timed, reset), evaluate(timed.withRules(afterRules), reset));
+  });
+
+  return {
+    before: typeof before === 'string' ? before : 'before',
+    after: typeof after === 'string' ? after : 'after',
+    total: results.length,
+    changed: results.filter(r => r.changed).length,
+    sequences: results
+  };
+};
+
+/**
+ * Render a sequence evaluation error.
+ *
+ * @param  {string} [message] Error message
+ * @return {string}
+ */
+function renderError(message) {
+  if (message === undefined) {
+    return 'no error';
+  }
+
+  return JSON.stringify(message);
+}
+
+/**
+ * Render a rules diff report as text.
+ *
+ * @param  {object} report Rules diff report
+ * @return {string}
+ */
+exports.toText = function(report) {
+  const changed = report.sequences.filter(r => r.changed);
+  const header = `${report.changed} of ${report.total} sequences changed between "${report.before}" and "${report.after}"`;
+
+  if (changed.length === 0) {
+    return `${header}.\n`;
+  }
+
+  const sections = changed.map(r => [`"${r.name}":`].concat(
+    r.operations.map(o => `  ${o.description}: ${o.before} -> ${o.after}`),
+    r.data.map(d => `  /${d.path}: ${JSON.stringify(d.before)} -> ${JSON.stringify(d.after)}`),
+    r.error == null ? [] : [`  Error: ${renderError(r.error.before)} -> ${renderError(r.error.after)}`]
+  ).join('\n'));
+
+  return `${header}:\n\n${sections.join('\n\n')}\n`;
+};
+
+/**
+ * Render a rules diff report as JSON.
+ *
+ * @param  {object} report Rules diff report
+ * @return {string}
+ */
+exports.toJSON = function(report) {
+  return JSON.stringify(report, null, 2);
+};
@@ -8,13 +8,69 @@
 
 const path = require('./path');
 const pkg = require('../package.json');
+const query = require('./query');
 const querystring = require('querystring');
 const request = require('request-promise-native');
+const url = require('url');
 
 const debug = require('debug')('firebase-test:context:rest:debug');
 const log = require('debug')('firebase-test:context:rest');
 
 const USER_AGENT = `firebase-test/${pkg.version}; ${process.tile}/${process.version}`;
+const DEFAULT_TIMEOUT = 5000;
+
+/**
+ * Validate a database URL and remove its trailing slashes.
+ *
+ * @param  {string} databaseURL Database URL (e.g. "http://localhost:9000")
+ * @return {string}
+ */
+exports.parseURL = function(databaseURL) {
+  const {protocol, host, pathname, search, hash} = url.parse(databaseURL);
+
+  if (['http:', 'https:'].indexOf(protocol) === -1 || !host) {
+    throw new Error(`Invalid database URL "${databaseURL}"; it should be an http or https URL.`);
+  }
+
+  if (search || hash) {
+    throw new Error(`Invalid database URL "${databaseURL}"; use the "ns" option to set the namespace.`);
+  }
+
+  const prefix = path.trim(pathname || '');
+
+  return prefix === '' ? `${protocol}//${host}` : `${protocol}//${host}/${prefix}`;
+};
+
+/**
+ * Validate a request timeout.
+ *
+ * @param  {number|string} timeout Timeout in ms
+ * @return {number}
+ */
+exports.parseTimeout = function(timeout) {
+  const ms = Number(timeout);
+
+  if (timeout === '' || isNaN(ms) || ms <= 0) {
+    throw new Error(`Invalid request timeout "${timeout}"; it should be a positive number of ms.`);
+  }
+
+  return ms;
+};
+
+/**
+ * Guess a database name from its URL or namespace.
+ *
+ * @param  {string} databaseURL Database URL
+ * @param  {string} [ns]        Database namespace
+ * @return {string}
+ */
+function databaseName(databaseURL, ns) {
+  if (ns != null) {
+    return ns;
+  }
+
+  return url.parse(databaseURL).hostname.split('.')[0];
+}
 
 /**
  * Rest Firebase client.
@@ -24,22 +80,36 @@ class Client {
   /**
    * RestClient contructor.
    *
-   * @param {string} options.projectId ID of the project to target
+   * The database URL defaults to "https://<projectId>.firebaseio.com"; it can
+   * target any http or https server (e.g. a regional database, an emulator or
+   * a proxy), with the namespace sent as the "ns" query parameter.
+   *
+   * @param {string} [options.projectId]   ID of the project to target
+   * @param {string} [options.databaseURL] Database URL
+   * @param {string} [options.ns]          Database namespace
+   * @param {number} [options.timeout]     Request timeout in ms (5000 by default)
    */
-  constructor({projectId}) {
-    if (projectId == null || projectId === '') {
-      throw new Error('A RestClient requires a project id');
+  constructor({projectId, databaseURL, ns, timeout = DEFAULT_TIMEOUT}) {
+    if ((projectId == null || projectId === '') && (databaseURL == null || databaseURL === '')) {
+      throw new Error('A RestClient requires a project id or a database URL');
     }
 
-    this.projectId = projectId;
+    this.databaseURL = databaseURL == null || databaseURL === '' ?
+      `https://${projectId}.firebaseio.com` :
+      exports.parseURL(databaseURL);
+    this.ns = ns == null || ns === '' ? null : ns;
+    this.projectId = projectId == null || projectId === '' ? databaseName(this.databaseURL, this.ns) : projectId;
+    this.timeout = exports.parseTimeout(timeout);
   }
 
   uri(paths, qs) {
-    return `https://${this.projectId}.firebaseio.com/${path.join(paths)}.json?${querystring.stringify(qs)}`;
+    const params = this.ns == null ? qs : Object.assign({ns: this.ns}, qs);
+
+    return `${this.databaseURL}/${path.join(paths)}.json?${querystring.stringify(params)}`;
   }
 
-  qs({auth = null, silent = false, shallow = false}) {
-    const qs = {};
+  qs({auth = null, silent = false, shallow = false, query: params = null}) {
+    const qs = query.toParams(params);
 
     if (auth != null) {
       qs.auth = auth;
@@ -57,15 +127,15 @@ class Client {
     return qs;
   }
 
-  reqOps({uri, method, json, payload}) {
+  reqOps({uri, method, json, payload, headers = {}}) {
     const opts = {
       uri,
       method,
       json,
       resolveWithFullResponse: true,
       simple: true,
-      timeout: 5000,
-      headers: {'User-Agent': USER_AGENT}
+      timeout: this.timeout,
+      headers: Object.assign({'User-Agent': USER_AGENT}, headers)
     };
 
     if (payload !== undefined) {
@@ -99,16 +169,19 @@ class Client {
     log(resp.headers['x-firebase-auth-debug']);
   }
 
-  req({paths, payload, json = true, method = 'GET', auth = null, silent = false, shallow = false}) {
-    const qs = this.qs({auth, silent, shallow});
+  req({
+    paths, payload, json = true, method = 'GET', auth = null, silent = false, shallow = false,
+    query: params, headers, fullResponse = false
+  }) {
+    const qs = this.qs({auth, silent, shallow, query: params});
     const uri = this.uri(paths, qs);
-    const opts = this.reqOps({uri, method, json, payload});
+    const opts = this.reqOps({uri, method, json, payload, headers});
 
     return request(opts).then(
       resp => {
         this.log(method, paths, qs, resp);
 
-        return resp.body;
+        return fullResponse ? resp : resp.body;
       },
       e => {
         this.log(method, paths, qs, e.response);
@@ -141,12 +214,18 @@ class Client {
    * @param  {string}  [options.auth]    Token to authenticate the request
    * @param  {boolean} [options.silent]  Option to not get the response rendered
    * @param  {[type]}  [options.shallow] To only request the children names.
+   * @param  {object}  [options.query]   Query parameters (orderByChild, limitToFirst, ...)
    * @return {Promise<void,Error>}
    */
-  get({paths = '/', auth = null, silent = false, shallow = false} = {}) {
+  get({paths = '/', auth = null, silent = false, shallow = false, query: params = null} = {}) {
     const method = 'GET';
+    const opts = {method, paths, auth, silent, shallow: shallow && !silent};
 
-    return this.req({method, paths, auth, silent, shallow: shallow && !silent});
+    if (params != null) {
+      opts.query = params;
+    }
+
+    return this.req(opts);
   }
 
   /**
@@ -198,6 +277,61 @@ class Client {
     return this.req({method, paths, auth, payload, silent});
   }
 
+  /**
+   * Update a Firebase database location using its current value.
+   *
+   * It fetches the location value and its ETag, and replace it with the value
+   * returned by the update function if the location didn't change in the
+   * mean time. It retries if the location was changed.
+   *
+   * The transaction is aborted if the update function returns undefined.
+   *
+   * @param  {string}              options.paths     Location to update
+   * @param  {function(any): any}  options.update    Function returning the new value
+   * @param  {string}              [options.auth]    Token to authenticate the requests
+   * @param  {number}              [options.retries] Maximum number of retries (10 by default)
+   * @return {Promise<void,Error>}
+   */
+  transaction({paths, update, auth = null, retries = 10}) {
+    if (paths == null) {
+      return Promise.reject(new Error('RestClient#transaction require an explicit path'));
+    }
+
+    const attempt = left => this.req({
+      paths,
+      auth,
+      method: 'GET',
+      headers: {'X-Firebase-ETag': 'true'},
+      fullResponse: true
+    }).then(resp => {
+      const value = update(resp.body === undefined ? null : resp.body);
+
+      if (value === undefined) {
+        return undefined;
+      }
+
+      return this.req({
+        paths,
+        auth,
+        method: 'PUT',
+        payload: value,
+        silent: true,
+        headers: {'if-match': resp.headers.etag}
+      }).then(
+        () => undefined,
+        e => {
+          if (e.statusCode === 412 && left > 0) {
+            return attempt(left - 1);
+          }
+
+          return Promise.reject(e);
+        }
+      );
+    });
+
+    return attempt(retries);
+  }
+
   /**
    * Delete Firebase database location.
    *
@@ -221,15 +355,18 @@ class Client {
 /**
  * Create a REST client for a Firebase database.
  *
- * @param  {string} options.projectId Firebase project id
+ * @param  {string} [options.projectId]   Firebase project id
+ * @param  {string} [options.databaseURL] Database URL ("https://<projectId>.firebaseio.com" by default)
+ * @param  {string} [options.ns]          Database namespace
+ * @param  {number} [options.timeout]     Request timeout in ms (5000 by default)
  * @return {RestClient}
  */
-exports.client = function({projectId}) {
-  if (projectId == null) {
-    throw new Error('The rest driver require a project id.');
+exports.client = function({projectId, databaseURL, ns, timeout} = {}) {
+  if (projectId == null && databaseURL == null) {
+    throw new Error('The rest driver require a project id or a database URL.');
   }
 
   log('Rest driver will use the default rest client.');
 
-  return new Client({projectId});
+  return new Client({projectId, databaseURL, ns, timeout});
 };
@@ -0,0 +1,88 @@
+'use strict';
+
+const bolt = require('./bolt');
+const fixtures = require('./fixtures');
+const fs = require('fs');
+const pathModule = require('path');
+
+/**
+ * Load a rules file.
+ *
+ * The file can use the firebase JSON format (which tolerate comments), or be a
+ * Bolt file (".bolt" extension) to compile; parse errors report the file, line
+ * and column.
+ *
+ * @param  {string} filePath Path to the rules file (relative to the current directory)
+ * @return {object}
+ */
+exports.load = function(filePath) {
+  if (pathModule.extname(filePath) === bolt.extension) {
+    return bolt.load(filePath);
+  }
+
+  if (!fs.existsSync(filePath)) {
+    throw new Error(`Rules file "${filePath}" not found.`);
+  }
+
+  const rules = fixtures.load(filePath);
+
+  if (rules == null || typeof rules !== 'object' || rules.rules == null) {
+    throw new Error(`Rules file "${filePath}" has no "rules" definition.`);
+  }
+
+  return rules;
+};
+
+/**
+ * Load the rules referenced by a firebase.json config file.
+ *
+ * The `database.rules` path is resolved relatively to the config file
+ * directory.
+ *
+ * @param  {string} configPath Path to the config file (relative to the current directory)
+ * @return {object}
+ */
+exports.fromConfig = function(configPath) {
+  if (!fs.existsSync(configPath)) {
+    throw new Error(`Config file "${configPath}" not found.`);
+  }
+
+  const {database} = fixtures.load(configPath) || {};
+
+  if (database == null || typeof database.rules !== 'string') {
+    throw new Error(`Config file "${configPath}" has no "database.rules" reference.`);
+  }
+
+  return exports.load(pathModule.join(pathModule.dirname(configPath), database.rules));
+};
+
+/**
+ * Resolve a suite rules.
+ *
+ * The rules can be given as an object, as a path to a rules file, with a path
+ * to a Bolt file or with a path to a firebase.json config file.
+ *
+ * @param  {object|string} [options.rules]  Rules or rules file path
+ * @param  {string}        [options.bolt]   Bolt file path
+ * @param  {string}        [options.config] firebase.json file path
+ * @return {object}
+ */
+exports.resolve = function({rules, bolt: boltFile, config} = {}) {
+  if ([rules, boltFile, config].filter(src => src != null).length > 1) {
+    throw new Error('A firebase test suite requires either rules, a Bolt file or a config file, not several.');
+  }
+
+  if (boltFile != null) {
+    return bolt.load(boltFile);
+  }
+
+  if (config != null) {
+    return exports.fromConfig(config);
+  }
+
+  if (typeof rules === 'string') {
+    return exports.load(rules);
+  }
+
+  return rules;
+};
@@ -0,0 +1,69 @@
+'use strict';
+
+const path = require('./path');
+
+/**
+ * Rule kinds of a rule node.
+ *
+ * @type {string[]}
+ */
+exports.kinds = ['.read', '.write', '.validate', '.indexOn'];
+
+/**
+ * List every node of a rules definition.
+ *
+ * Each node is returned with its path; wildchildren keep their "$" name (e.g.
+ * "users/$uid").
+ *
+ * @param  {object} rules Rules definition ({rules: {...}})
+ * @return {Array<{path: string, node: object}>}
+ */
+exports.nodes = function(rules) {
+  const walk = (node, location) => {
+    if (node == null || typeof node !== 'object') {
+      return [];
+    }
+
+    return Object.keys(node)
+      .filter(key => !key.startsWith('.'))
+      .reduce(
+        (list, key) => list.concat(walk(node[key], path.child(location, key))),
+        [{path: location, node}]
+      );
+  };
+
+  return walk(rules == null ? null : rules.rules, '');
+};
+
+/**
+ * Find the rule node applying to a location.
+ *
+ * Like Firebase, a named child takes precedence over a wildchild.
+ *
+ * @param  {object}       rules Rules definition ({rules: {...}})
+ * @param  {string|array} paths Location
+ * @return {{path: string, node: object}|null}
+ */
+exports.find = function(rules, paths) {
+  const location = path.join(paths);
+  const keys = location === '' ? [] : location.split('/');
+  const root = rules == null || rules.rules == null ? null : {path: '', node: rules.rules};
+
+  return keys.reduce((parent, key) => {
+    if (parent == null) {
+      return null;
+    }
+
+    if (parent.node[key] != null) {
+      return {path: path.child(parent.path, key), node: parent.node[key]};
+    }
+
+    const wildchild = Object.keys(parent.node).find(k => k.startsWith('$'));
+
+    if (wildchild == null) {
+      return null;
+    }
+
+    return {path: path.child(parent.path, wildchild), node: parent.node[wildchild]};
+  }, root);
+};
@@ -0,0 +1,100 @@
+'use strict';
+
+const data = require('./data');
+
+/**
+ * Placeholder for the server timestamp.
+ *
+ * @type {{'.sv': string}}
+ */
+exports.TIMESTAMP = Object.freeze({'.sv': 'timestamp'});
+
+/**
+ * Create a placeholder incrementing the location current value.
+ *
+ * @param  {number} delta Value to add to the current value
+ * @return {{'.sv': {increment: number}}}
+ */
+exports.increment = function(delta) {
+  return {'.sv': {increment: delta}};
+};
+
+/**
+ * Test a value is a server value placeholder.
+ *
+ * @param  {any}  value Value to test
+ * @return {boolean}
+ */
+exports.isServerValue = function(value) {
+  return value != null && typeof value === 'object' && value['.sv'] !== undefined;
+};
+
+/**
+ * Resolve a placeholder.
+ *
+ * @param  {string|object} sv      Placeholder content (the ".sv" property value)
+ * @param  {number}        now     Operation timestamp
+ * @param  {any}           current Location current value
+ * @return {number}
+ */
+function resolveOne(sv, now, current) {
+  if (sv === 'timestamp') {
+    return now;
+  }
+
+  if (sv != null && typeof sv.increment === 'number') {
+    return typeof current === 'number' ? current + sv.increment : sv.increment;
+  }
+
+  throw new Error(`Unsupported server value: ${JSON.stringify(sv)}`);
+}
+
+/**
+ * Replace the server value placeholders of a value written to a location.
+ *
+ * Timestamp placeholders resolve to the operation timestamp; increment
+ * placeholders resolve to the location current value plus the increment (or
+ * the increment if the current value is not a number).
+ *
+ * @param  {any}    value             Value to write
+ * @param  {number} [options.now]     Operation timestamp (default to now)
+ * @param  {any}    [options.current] Current value of the location
+ * @return {any}
+ */
+exports.resolve = function(value, {now = Date.now(), current = null} = {}) {
+  if (exports.isServerValue(value)) {
+    return resolveOne(value['.sv'], now, current);
+  }
+
+  if (value == null || typeof value !== 'object') {
+    return value;
+  }
+
+  return Object.keys(value).reduce(
+    (obj, key) => Object.assign(obj, {
+      [key]: exports.resolve(value[key], {now, current: data.child(current, key)})
+    }),
+    Array.isArray(value) ? [] : {}
+  );
+};
+
+/**
+ * Replace the server value placeholders of a multi-location update.
+ *
+ * @param  {object} patch             Map of relative location to their new value
+ * @param  {number} [options.now]     Operation timestamp (default to now)
+ * @param  {any}    [options.current] Current value of the updated location
+ * @return {object}
+ */
+exports.resolvePatch = function(patch, {now = Date.now(), current = null} = {}) {
+  if (patch == null) {
+    return patch;
+  }
+
+  return Object.keys(patch).reduce(
+    (obj, key) => Object.assign(obj, {
+      [key]: exports.resolve(patch[key], {now, current: data.child(current, key)})
+    }),
+    {}
+  );
+};
@@ -0,0 +1,224 @@
+'use strict';
+
+const data = require('./data');
+const env = require('./env');
+const fs = require('fs');
+const pathModule = require('path');
+
+const srcDir = __dirname;
+
+// Keys generated by Firebase push operations or by the simulated driver.
+const pushIdPattern = /^(-[-0-9A-Za-z_]{19}|--firebase-test-id-\d+--)$/;
+
+// Keys generated by the simulated driver; they hold a process-wide counter.
+const simulatedIdPattern = /^--firebase-test-id-(\d+)--$/;
+
+// Numbers within that range of the current time are considered timestamps.
+const timestampWindow = 60 * 60 * 1000;
+
+/**
+ * Test an environment variable value is set to a truthy value.
+ *
+ * @param  {string}  value Environment variable value
+ * @return {boolean}
+ */
+function isSet(value) {
+  return value != null && ['', '0', 'false', 'no'].indexOf(value.toLowerCase()) === -1;
+}
+
+/**
+ * Should snapshots be rewritten?
+ *
+ * Set FIREBASE_TEST_UPDATE_SNAPSHOTS to rewrite them.
+ *
+ * @param  {object} [src] Environment variables (default to `process.env`)
+ * @return {boolean}
+ */
+exports.shouldUpdate = function(src = process.env) {
+  return isSet(env.filter({src}).updateSnapshots);
+};
+
+/**
+ * Find the file calling into firebase-test from a stack trace.
+ *
+ * @param  {string} [stack] Stack trace (default to the current one)
+ * @return {string|void}
+ */
+exports.callerFile = function(stack = new Error().stack) {
+  return stack.split('\n')
+    .map(line => /\(?((?:\/|[A-Za-z]:\\)[^():]+):\d+:\d+\)?$/.exec(line.trim()))
+    .filter(match => match != null)
+    .map(match => match[1])
+    .find(file => !file.startsWith(srcDir + pathModule.sep));
+};
+
+/**
+ * Return the path to the snapshot file of a test file.
+ *
+ * Snapshots are saved in a "__snapshots__" directory next to the test file.
+ *
+ * @param  {string} testFile Path to the test file
+ * @return {string}
+ */
+exports.file = function(testFile) {
+  if (testFile == null) {
+    throw new Error('Cannot find the test file to save the snapshot next to.');
+  }
+
+  const dir = pathModule.dirname(testFile);
+  const base = pathModule.basename(testFile);
+
+  return pathModule.join(dir, '__snapshots__', `${base}.snap.json`);
+};
+
+/**
+ * Key to sort an object keys with.
+ *
+ * The simulated driver IDs are not zero-padded; their counter is padded so
+ * that they sort in creation order, like Firebase push IDs.
+ *
+ * @param  {string} key Object key
+ * @return {string}
+ */
+function sortKey(key) {
+  const match = simulatedIdPattern.exec(key);
+
+  if (match == null) {
+    return key;
+  }
+
+  return `--firebase-test-id-${`0000000000000000${match[1]}`.slice(-16)}--`;
+}
+
+/**
+ * Compare object keys (see `sortKey`).
+ *
+ * @param  {string} a First key
+ * @param  {string} b Second key
+ * @return {number}
+ */
+function compareKeys(a, b) {
+  const x = sortKey(a);
+  const y = sortKey(b);
+
+  if (x === y) {
+    return 0;
+  }
+
+  return x < y ? -1 : 1;
+}
+
+/**
+ * Replace push IDs and server timestamps with stable placeholders.
+ *
+ * Push IDs are replaced in creation order with "<push-id-1>", "<push-id-2>",
+ * ...; numbers close to the current time are replaced with "<timestamp>".
+ *
+ * @param  {any}    value         Value to normalize
+ * @param  {number} [options.now] Current time
+ * @return {any}
+ */
+exports.normalize = function(value, {now = Date.now()} = {}) {
+  const ids = new Map();
+  const pushId = key => {
+    if (!ids.has(key)) {
+      ids.set(key, `<push-id-${ids.size + 1}>`);
+    }
+
+    return ids.get(key);
+  };
+  const walk = node => {
+    if (typeof node === 'number' && Math.abs(node - now) <= timestampWindow) {
+      return '<timestamp>';
+    }
+
+    if (node == null || typeof node !== 'object') {
+      return node;
+    }
+
+    return Object.keys(node).sort(compareKeys).reduce((obj, key) => {
+      obj[pushIdPattern.test(key) ? pushId(key) : key] = walk(node[key]);
+
+      return obj;
+    }, {});
+  };
+
+  return walk(data.normalize(value));
+};
+
+/**
+ * Load a snapshot file.
+ *
+ * @param  {string} file Snapshot file path
+ * @return {object}
+ */
+exports.read = function(file) {
+  if (!fs.existsSync(file)) {
+    return {};
+  }
+
+  return JSON.parse(fs.readFileSync(file, 'utf8'));
+};
+
+/**
+ * Save a snapshot file.
+ *
+ * @param  {string} file      Snapshot file path
+ * @param  {object} snapshots Map of snapshot name to their value
+ */
+exports.write = function(file, snapshots) {
+  const dir = pathModule.dirname(file);
+  const sorted = Object.keys(snapshots).sort().reduce(
+    (obj, key) => Object.assign(obj, {[key]: snapshots[key]}),
+    {}
+  );
+
+  if (!fs.existsSync(dir)) {
+    fs.mkdirSync(dir);
+  }
+
+  fs.writeFileSync(file, `${JSON.stringify(sorted, null, 2)}\n`);
+};
+
+/**
+ * Compare a value to a saved snapshot.
+ *
+ * The snapshot is saved if it doesn't exist yet (unless running on a CI
+ * service) or if the snapshots should be updated.
+ *
+ * @param  {any}     value            Value to compare
+ * @param  {string}  options.name     Snapshot name
+ * @param  {string}  options.file     Snapshot file path
+ * @param  {boolean} [options.update] Rewrite the snapshot
+ * @param  {boolean} [options.ci]     Fail if the snapshot is missing
+ * @return {any}
+ */
+exports.match = function(value, {name, file, update = exports.shouldUpdate(), ci = isSet(process.env.CI)}) {
+  const actual = exports.normalize(value);
+  const snapshots = exports.read(file);
+
+  if (update || !Object.prototype.hasOwnProperty.call(snapshots, name)) {
+    if (!update && ci) {
+      throw new Error(`Snapshot "${name}" is missing from "${file}" (snapshots are not written on CI).`);
+    }
+
+    exports.write(file, Object.assign(snapshots, {[name]: actual}));
+
+    return value;
+  }
+
+  const expected = snapshots[name];
+  const diff = data.diff(expected, actual);
+
+  if (diff.length > 0) {
+    const msg = [
+      `Snapshot "${name}" (${file}) does not match:`,
+      data.formatDiff(diff),
+      'Set FIREBASE_TEST_UPDATE_SNAPSHOTS=1 to rewrite the snapshots.'
+    ].join('\n');
+
+    throw new data.DataError('', {expected, actual, diff}, msg);
+  }
+
+  return value;
+};
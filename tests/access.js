@@ -0,0 +1,150 @@
+'use strict';
+
+const access = require('../src/access');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+describe('access', function() {
+  const rules = {
+    rules: {
+      orgs: {
+        $org: {
+          '.read': 'auth != null',
+          '.write': 'auth.admin == true',
+          name: {'.validate': 'newData.isString()'}
+        }
+      }
+    }
+  };
+  const users = {alice: {admin: true}, bob: {}, guest: null};
+  const seed = {orgs: {x: {name: 'X'}}};
+
+  describe('descriptor', function() {
+
+    it('should map probes to operation descriptors', function() {
+      expect(access.descriptor('read', 'foo', 1)).to.deep.equal({op: 'get', path: 'foo'});
+      expect(access.descriptor('set', 'foo', 1)).to.deep.equal({op: 'set', path: 'foo', value: 1});
+      expect(access.descriptor('remove', 'foo', 1)).to.deep.equal({op: 'remove', path: 'foo'});
+    });
+
+    it('should patch objects at the location', function() {
+      expect(access.descriptor('update', 'foo', {bar: 1})).to.deep.equal({op: 'update', path: 'foo', value: {bar: 1}});
+    });
+
+    it('should patch other values at the parent location', function() {
+      expect(access.descriptor('update', 'foo/bar', 1)).to.deep.equal({op: 'update', path: 'foo', value: {bar: 1}});
+      expect(access.descriptor('update', '', 1)).to.equal(null);
+    });
+
+    it('should throw on unknown operations', function() {
+      expect(() => access.descriptor('delete', 'foo')).to.throw();
+    });
+
+  });
+
+  describe('report', function() {
+
+    it('should probe each operation for each user and path', function() {
+      const report = access.report({rules, seed, users, paths: ['/orgs/x', {path: 'orgs/x/name', value: 1}]});
+
+      expect(report.users).to.deep.equal(['alice', 'bob', 'guest']);
+      expect(report.paths).to.deep.equal(['orgs/x', 'orgs/x/name']);
+      expect(report.ops).to.deep.equal(['read', 'set', 'update', 'remove']);
+      expect(report.results.filter(r => r.user === 'alice').map(r => [r.path, r.op, r.outcome])).to.deep.equal([
+        ['orgs/x', 'read', 'allowed'],
+        ['orgs/x', 'set', 'allowed'],
+        ['orgs/x', 'update', 'allowed'],
+        ['orgs/x', 'remove', 'allowed'],
+        ['orgs/x/name', 'read', 'allowed'],
+        ['orgs/x/name', 'set', 'denied'],
+        ['orgs/x/name', 'update', 'denied'],
+        ['orgs/x/name', 'remove', 'allowed']
+      ]);
+      expect(report.results.filter(r => r.user === 'bob').map(r => r.outcome)).to.deep.equal([
+        'allowed', 'denied', 'denied', 'denied', 'allowed', 'denied', 'denied', 'denied'
+      ]);
+      expect(report.results.filter(r => r.user === 'guest').every(r => r.outcome === 'denied')).to.be.true();
+    });
+
+    it('should probe the selected operations', function() {
+      const report = access.report({rules, seed, users: {bob: {}}, paths: ['orgs/x'], ops: ['read']});
+
+      expect(report.results).to.deep.equal([{user: 'bob', path: 'orgs/x', op: 'read', outcome: 'allowed'}]);
+    });
+
+    it('should report operations which cannot be probed', function() {
+      const report = access.report({rules, users: {bob: {}}, paths: ['/'], ops: ['update']});
+
+      expect(report.results).to.deep.equal([{user: 'bob', path: '', op: 'update', outcome: 'n/a'}]);
+    });
+
+    it('should throw if an option is missing', function() {
+      expect(() => access.report({rules, users})).to.throw();
+    });
+
+  });
+
+  describe('formats', function() {
+    const report = {
+      users: ['alice', 'guest'],
+      paths: ['orgs/x'],
+      ops: ['read', 'set'],
+      results: [
+        {user: 'alice', path: 'orgs/x', op: 'read', outcome: 'allowed'},
+        {user: 'guest', path: 'orgs/x', op: 'read', outcome: 'denied'},
+        {user: 'alice', path: 'orgs/x', op: 'set', outcome: 'allowed'},
+        {user: 'guest', path: 'orgs/x', op: 'set', outcome: 'denied'}
+      ]
+    };
+
+    it('should render a Markdown table', function() {
+      expect(access.toMarkdown(report)).to.equal([
+        '| Path | Operation | alice | guest |',
+        '| --- | --- | --- | --- |',
+        '| /orgs/x | read | allowed | denied |',
+        '| /orgs/x | set | allowed | denied |',
+        ''
+      ].join('\n'));
+    });
+
+    it('should render CSV', function() {
+      expect(access.toCSV(report)).to.equal([
+        'path,operation,alice,guest',
+        '/orgs/x,read,allowed,denied',
+        '/orgs/x,set,allowed,denied',
+        ''
+      ].join('\n'));
+    });
+
+    it('should escape CSV cells', function() {
+      const quoted = {
+        users: ['alice, "admin"'],
+        paths: ['orgs/x'],
+        ops: ['read'],
+        results: [{user: 'alice, "admin"', path: 'orgs/x', op: 'read', outcome: 'allowed'}]
+      };
+
+      expect(access.toCSV(quoted).split('\n')[0]).to.equal('path,operation,"alice, ""admin"""');
+    });
+
+    it('should render JSON', function() {
+      expect(JSON.parse(access.toJSON(report))).to.deep.equal(report);
+    });
+
+    it('should write the reports', function() {
+      const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'firebase-test-'));
+      const files = ['access-report.csv', 'access-report.json', 'access-report.md'];
+
+      try {
+        access.write(report, {dir});
+        expect(fs.readdirSync(dir).sort()).to.deep.equal(files);
+      } finally {
+        fs.readdirSync(dir).forEach(f => fs.unlinkSync(path.join(dir, f)));
+        fs.rmdirSync(dir);
+      }
+    });
+
+  });
+
+});
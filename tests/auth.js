@@ -0,0 +1,74 @@
+'use strict';
+
+const auth = require('../src/auth');
+
+describe('auth', function() {
+
+  describe('providerName', function() {
+
+    it('should strip the provider domain', function() {
+      expect(auth.providerName('google.com')).to.equal('google');
+      expect(auth.providerName('password')).to.equal('password');
+    });
+
+  });
+
+  describe('create', function() {
+
+    it('should create a custom token auth by default', function() {
+      expect(auth.create('bob')).to.deep.equal({
+        uid: 'bob',
+        provider: 'custom',
+        token: {
+          sub: 'bob',
+          firebase: {sign_in_provider: 'custom', identities: {}}
+        }
+      });
+    });
+
+    it('should set custom claims', function() {
+      const payload = auth.create('bob', {admin: true, org: 'x'});
+
+      expect(payload.admin).to.be.true();
+      expect(payload.org).to.equal('x');
+      expect(payload.token.admin).to.be.true();
+      expect(payload.token.org).to.equal('x');
+    });
+
+    it('should set email', function() {
+      const payload = auth.create('bob', {email: 'bob@example.com', emailVerified: true});
+
+      expect(payload.provider).to.equal('password');
+      expect(payload.token).to.deep.equal({
+        sub: 'bob',
+        email: 'bob@example.com',
+        email_verified: true,
+        firebase: {
+          sign_in_provider: 'password',
+          identities: {email: ['bob@example.com']}
+        }
+      });
+      expect(payload).to.not.have.property('email');
+    });
+
+    it('should set the sign in provider', function() {
+      const payload = auth.create('bob', {provider: 'google.com', email: 'bob@example.com'});
+
+      expect(payload.provider).to.equal('google');
+      expect(payload.token.email_verified).to.be.false();
+      expect(payload.token.firebase).to.deep.equal({
+        sign_in_provider: 'google.com',
+        identities: {'google.com': ['bob'], email: ['bob@example.com']}
+      });
+    });
+
+    it('should set extra token fields', function() {
+      const payload = auth.create('bob', {token: {name: 'Bob'}});
+
+      expect(payload.token.name).to.equal('Bob');
+      expect(payload).to.not.have.property('name');
+    });
+
+  });
+
+});
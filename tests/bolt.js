@@ -0,0 +1,83 @@
+'use strict';
+
+const bolt = require('../src/bolt');
+const path = require('path');
+
+describe('bolt', function() {
+  const dir = path.join(__dirname, 'utils/fixtures');
+  const boltFile = path.join(dir, 'rules.bolt');
+
+  describe('compile', function() {
+
+    it('should compile Bolt rules', function() {
+      expect(bolt.compile('path /foo {\n  read() { true }\n}\n')).to.deep.equal({
+        rules: {foo: {'.read': 'true'}}
+      });
+    });
+
+    it('should report syntax errors location', function() {
+      const src = 'path /foo {\n  read() { auth != }\n}\n';
+
+      expect(() => bolt.compile(src, {file: 'foo.bolt'})).to.throw(
+        /^Failed to compile "foo\.bolt" \(line 2, column 3\): Invalid path or method/
+      );
+    });
+
+    it('should report missing types location', function() {
+      const src = 'type Foo {\n  bar: Bar\n}\n\npath /foo is Foo;\n';
+      let error;
+
+      try {
+        bolt.compile(src);
+      } catch (e) {
+        error = e;
+      }
+
+      expect(error.message).to.equal('Failed to compile "rules.bolt" (line 2, column 8): No type definition for: Bar');
+      expect([error.file, error.line, error.column]).to.deep.equal(['rules.bolt', 2, 8]);
+    });
+
+  });
+
+  describe('load', function() {
+
+    it('should load and compile a Bolt file', function() {
+      expect(bolt.load(boltFile)).to.have.deep.property('rules.orgs.$org.name.\\.validate', 'newData.isString()');
+    });
+
+    it('should throw if the file is missing', function() {
+      expect(() => bolt.load(path.join(dir, 'missing.bolt'))).to.throw(/Bolt file ".+missing\.bolt" not found/);
+    });
+
+    it('should report the file of compile errors', function() {
+      expect(() => bolt.load(path.join(dir, 'invalid.bolt'))).to.throw(/invalid\.bolt" \(line 2, column 3\)/);
+    });
+
+  });
+
+  describe('locate', function() {
+
+    it('should find the path and type declarations of a location', function() {
+      const rules = bolt.load(boltFile);
+
+      expect(bolt.locate(rules, '/orgs/x/name')).to.deep.equal([
+        `${boltFile}:2: path /orgs/{org} is Org`,
+        `${boltFile}:7: type Org`
+      ]);
+      expect(bolt.locate(rules, 'orgs')).to.deep.equal([]);
+    });
+
+    it('should find the deepest path declaration', function() {
+      const rules = bolt.compile('path / {\n  read() { true }\n}\n\npath /foo {\n  read() { false }\n}\n');
+
+      expect(bolt.locate(rules, 'bar')).to.deep.equal(['rules.bolt:1: path /']);
+      expect(bolt.locate(rules, 'foo/bar')).to.deep.equal(['rules.bolt:5: path /foo']);
+    });
+
+    it('should ignore rules not compiled from Bolt', function() {
+      expect(bolt.locate({rules: {}}, 'foo')).to.deep.equal([]);
+    });
+
+  });
+
+});
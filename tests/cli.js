@@ -0,0 +1,112 @@
+'use strict';
+
+const cli = require('../src/cli');
+const path = require('path');
+
+describe('cli', function() {
+  const dir = path.join(__dirname, 'utils/fixtures');
+  let stdout, stderr;
+
+  beforeEach(function() {
+    stdout = {write: sinon.spy()};
+    stderr = {write: sinon.spy()};
+  });
+
+  describe('parse', function() {
+
+    it('should parse the command and its options', function() {
+      expect(cli.parse(['access-report', '--rules', 'rules.json', '--path', 'a', '--path', 'b'])).to.deep.equal({
+        command: 'access-report',
+        options: {rules: 'rules.json', path: ['a', 'b']}
+      });
+    });
+
+    it('should throw on invalid arguments', function() {
+      expect(() => cli.parse(['access-report', 'rules.json'])).to.throw();
+      expect(() => cli.parse(['access-report', '--rules'])).to.throw();
+    });
+
+  });
+
+  describe('main', function() {
+
+    it('should print the usage', function() {
+      expect(cli.main([], {stdout, stderr})).to.equal(1);
+      expect(cli.main(['--help'], {stdout, stderr})).to.equal(0);
+      expect(stderr.write).to.have.been.calledWith(sinon.match(/Usage: firebase-test/));
+    });
+
+    it('should print an access report', function() {
+      const argv = [
+        'access-report',
+        '--rules', path.join(dir, 'access-rules.json'),
+        '--users', path.join(dir, 'access-users.json'),
+        '--path', '/orgs/x',
+        '--format', 'csv'
+      ];
+
+      expect(cli.main(argv, {stdout, stderr})).to.equal(0);
+      expect(stdout.write).to.have.been.calledWith([
+        'path,operation,alice,bob,guest',
+        '/orgs/x,read,allowed,allowed,denied',
+        '/orgs/x,set,allowed,denied,denied',
+        '/orgs/x,update,allowed,denied,denied',
+        '/orgs/x,remove,allowed,denied,denied',
+        ''
+      ].join('\n'));
+    });
+
+    it('should print an access report for Bolt rules', function() {
+      const argv = [
+        'access-report',
+        '--rules', path.join(dir, 'rules.bolt'),
+        '--users', path.join(dir, 'access-users.json'),
+        '--path', '/orgs/x',
+        '--format', 'csv'
+      ];
+
+      expect(cli.main(argv, {stdout, stderr})).to.equal(0);
+      expect(stdout.write).to.have.been.calledWith(sinon.match('/orgs/x,read,allowed,allowed,denied'));
+    });
+
+    it('should reject a rules file without rules definition', function() {
+      const argv = [
+        'access-report',
+        '--rules', path.join(dir, 'access-users.json'),
+        '--users', path.join(dir, 'access-users.json'),
+        '--path', '/orgs/x'
+      ];
+
+      expect(cli.main(argv, {stdout, stderr})).to.equal(1);
+      expect(stderr.write).to.have.been.calledWith(sinon.match(/has no "rules" definition/));
+    });
+
+    it('should report errors', function() {
+      expect(cli.main(['access-report', '--rules', 'rules.json'], {stdout, stderr})).to.equal(1);
+      expect(stderr.write).to.have.been.calledWith(sinon.match(/requires --rules, --users and --path/));
+    });
+
+    it('should print a rules diff', function() {
+      const argv = [
+        'diff-rules',
+        '--before', path.join(dir, 'access-rules.json'),
+        '--after', path.join(dir, 'access-rules-v2.json'),
+        '--suite', path.join(dir, 'access-sequences.js')
+      ];
+
+      expect(cli.main(argv, {stdout, stderr})).to.equal(1);
+      expect(stdout.write).to.have.been.calledWith(sinon.match('1 of 2 sequences changed'));
+      expect(stdout.write).to.have.been.calledWith(sinon.match('"alice renames x":\n  Operation #1'));
+    });
+
+    it('should exit with 0 if the rules behave the same', function() {
+      const rules = path.join(dir, 'access-rules.json');
+      const argv = ['diff-rules', '--before', rules, '--after', rules, '--suite', path.join(dir, 'access-sequences.js')];
+
+      expect(cli.main(argv.concat('--format', 'json'), {stdout, stderr})).to.equal(0);
+      expect(JSON.parse(stdout.write.lastCall.args[0])).to.include({total: 2, changed: 0});
+    });
+
+  });
+
+});
@@ -1,6 +1,14 @@
 'use strict';
 
+const auth = require('../src/auth');
 const context = require('../src/context');
+const data = require('../src/data');
+const errors = require('../src/errors');
+const fuzz = require('../src/fuzz');
+const matrix = require('../src/matrix');
+const path = require('path');
+const simulated = require('../src/drivers/simulated');
+const snapshot = require('../src/snapshot');
 
 describe('context', function() {
 
@@ -63,6 +71,25 @@ describe('context', function() {
 
     });
 
+    describe('withRules', function() {
+
+      it('should fork the ctx with other rules', function() {
+        const other = {rules: {'.read': true}};
+        const ctx0 = context.create({rules, driver}).as('bob').set('foo', 1);
+        const ctx1 = ctx0.withRules(other);
+
+        expect(ctx0.rules).to.equal(rules);
+        expect(ctx1.rules).to.equal(other);
+        expect(ctx1.ops).to.deep.equal(ctx0.ops);
+        expect(driver.init).to.have.been.calledWith(ctx1);
+      });
+
+      it('should throw if the rules are missing', function() {
+        expect(() => context.create({rules, driver}).withRules()).to.throw();
+      });
+
+    });
+
     describe('startWith', function() {
 
       it('should fork and reset seed and operations', function() {
@@ -79,6 +106,70 @@ describe('context', function() {
 
     });
 
+    describe('defineUser', function() {
+
+      it('should fork and register a user', function() {
+        const ctx0 = context.create({rules, driver, users: {bob: {role: 'user'}}});
+        const ctx1 = ctx0.defineUser('alice', {admin: true});
+
+        expect(ctx0.users).to.deep.equal({bob: {role: 'user'}});
+        expect(ctx1.users).to.deep.equal({bob: {role: 'user'}, alice: {admin: true}});
+      });
+
+      it('should throw if the name is missing', function() {
+        expect(() => context.create({rules, driver}).defineUser()).to.throw();
+      });
+
+    });
+
+    describe('startWith (fixtures)', function() {
+
+      it('should load fixture files', function() {
+        const fixture = path.join(__dirname, 'utils/fixtures/chat.json');
+        const ctx = context.create({rules, driver}).startWith([fixture], {at: 'foo'});
+
+        expect(ctx.seed).to.have.deep.property('foo.rooms.random.name', 'Random');
+      });
+
+    });
+
+    describe('withData', function() {
+
+      it('should fork and set a location of the seed', function() {
+        const ctx0 = context.create({rules, driver}).startWith({foo: {bar: 1}}).get('foo');
+        const ctx1 = ctx0.withData('foo/baz', 2);
+
+        expect(ctx0.seed).to.deep.equal({foo: {bar: 1}});
+        expect(ctx1.seed).to.deep.equal({foo: {bar: 1, baz: 2}});
+        expect(ctx1.ops).to.have.length(1);
+      });
+
+    });
+
+    describe('withoutData', function() {
+
+      it('should fork and remove a location of the seed', function() {
+        const ctx0 = context.create({rules, driver}).startWith({foo: {bar: 1, baz: 2}});
+        const ctx1 = ctx0.withoutData('foo/bar');
+
+        expect(ctx0.seed).to.deep.equal({foo: {bar: 1, baz: 2}});
+        expect(ctx1.seed).to.deep.equal({foo: {bar: null, baz: 2}});
+      });
+
+    });
+
+    describe('patchData', function() {
+
+      it('should fork and merge a patch to a location of the seed', function() {
+        const ctx0 = context.create({rules, driver}).startWith({foo: {bar: {baz: 1}}});
+        const ctx1 = ctx0.patchData('foo', {bar: {qux: 2}});
+
+        expect(ctx0.seed).to.deep.equal({foo: {bar: {baz: 1}}});
+        expect(ctx1.seed).to.deep.equal({foo: {bar: {baz: 1, qux: 2}}});
+      });
+
+    });
+
     describe('as', function() {
 
       it('should fork and set auth', function() {
@@ -86,19 +177,142 @@ describe('context', function() {
         const ctx1 = ctx0.as('bob', {role: 'user'});
 
         expect(ctx0.auth).to.be.null();
-        expect(ctx1.auth).to.deep.equal({uid: 'bob', role: 'user'});
+        expect(ctx1.auth).to.deep.equal(auth.create('bob', {role: 'user'}));
+      });
+
+      it('should set custom claims', function() {
+        const ctx = context.create({rules, driver}).as('bob', {role: 'user'});
+
+        expect(ctx.auth.role).to.equal('user');
+        expect(ctx.auth.token.role).to.equal('user');
+        expect(ctx.auth.provider).to.equal('custom');
+      });
+
+      it('should use registered user claims', function() {
+        const users = {alice: {admin: true, org: 'x'}, bob: {uid: 'bob-123'}};
+        const ctx = context.create({rules, driver, users});
+
+        expect(ctx.as('alice').auth).to.deep.equal(auth.create('alice', {admin: true, org: 'x'}));
+        expect(ctx.as('alice', {org: 'y'}).auth).to.deep.equal(auth.create('alice', {admin: true, org: 'y'}));
+        expect(ctx.as('bob').auth).to.deep.equal(auth.create('bob-123'));
+        expect(ctx.as('constructor').auth).to.deep.equal(auth.create('constructor'));
+        expect(ctx.defineUser('carol', {role: 'user'}).as('carol').auth.role).to.equal('user');
+      });
+
+      it('should throw on unknown users in strict mode', function() {
+        const users = {alice: {}};
+        const ctx = context.create({rules, driver, users, strictUsers: true});
+
+        expect(() => ctx.as('alice')).to.not.throw();
+        expect(() => ctx.as('bob')).to.throw(/Unknown user "bob"/);
+        expect(() => ctx.as('constructor')).to.throw(/Unknown user "constructor"/);
+        expect(() => ctx.as('toString')).to.throw(/Unknown user "toString"/);
+        expect(() => ctx.as(null)).to.not.throw();
+        expect(() => ctx.asAnonymous()).to.not.throw();
+        expect(() => context.create({rules, driver, users}).as('bob')).to.not.throw();
       });
 
       it('should reset auth', function() {
         const ctx0 = context.create({rules, driver}).as('bob', {role: 'user'});
         const ctx1 = ctx0.as();
 
-        expect(ctx0.auth).to.deep.equal({uid: 'bob', role: 'user'});
+        expect(ctx0.auth).to.deep.equal(auth.create('bob', {role: 'user'}));
         expect(ctx1.auth).to.be.null();
       });
 
     });
 
+    describe('atTime', function() {
+
+      it('should fork and set the sequence time', function() {
+        const ctx0 = context.create({rules, driver});
+        const ctx1 = ctx0.atTime(1000);
+
+        expect(ctx0.time).to.be.null();
+        expect(ctx1.time).to.equal(1000);
+        expect(ctx1.startWith(null).time).to.equal(1000);
+      });
+
+      it('should accept dates', function() {
+        const ctx = context.create({rules, driver}).atTime(new Date(1000));
+
+        expect(ctx.time).to.equal(1000);
+      });
+
+      it('should throw on invalid time', function() {
+        const ctx = context.create({rules, driver});
+
+        expect(() => ctx.atTime()).to.throw();
+        expect(() => ctx.atTime('foo')).to.throw();
+        expect(() => ctx.atTime(new Date('foo'))).to.throw();
+      });
+
+      it('should throw on time not after the epoch', function() {
+        const ctx = context.create({rules, driver});
+
+        expect(() => ctx.atTime(0)).to.throw(/Invalid time/);
+        expect(() => ctx.atTime(new Date(0))).to.throw(/Invalid time/);
+        expect(() => ctx.atTime(-1)).to.throw(/Invalid time/);
+      });
+
+    });
+
+    describe('advanceTime', function() {
+
+      it('should fork and add a step', function() {
+        const ctx0 = context.create({rules, driver}).as('bob');
+        const ctx1 = ctx0.advanceTime(1000);
+
+        expect(ctx0.ops).to.have.length(0);
+        expect(ctx1.ops).to.have.length(1);
+        expect(ctx1.ops[0]).to.deep.equal({
+          op: 'advanceTime',
+          path: '',
+          auth: auth.create('bob'),
+          value: 1000,
+          options: {}
+        });
+      });
+
+      it('should throw on invalid delta', function() {
+        expect(() => context.create({rules, driver}).advanceTime()).to.throw();
+      });
+
+    });
+
+    describe('asAnonymous', function() {
+
+      it('should fork and set an anonymous user auth', function() {
+        const ctx0 = context.create({rules, driver});
+        const ctx1 = ctx0.asAnonymous();
+
+        expect(ctx0.auth).to.be.null();
+        expect(ctx1.auth.uid).to.equal('anonymous');
+        expect(ctx1.auth.provider).to.equal('anonymous');
+        expect(ctx1.auth.token.firebase.sign_in_provider).to.equal('anonymous');
+        expect(ctx0.asAnonymous('some-uid').auth.uid).to.equal('some-uid');
+      });
+
+    });
+
+    describe('asProvider', function() {
+
+      it('should fork and set auth', function() {
+        const ctx0 = context.create({rules, driver});
+        const ctx1 = ctx0.asProvider('google.com', {uid: 'bob', email: 'bob@example.com', admin: true});
+
+        expect(ctx0.auth).to.be.null();
+        expect(ctx1.auth).to.deep.equal(
+          auth.create('bob', {provider: 'google.com', email: 'bob@example.com', admin: true})
+        );
+      });
+
+      it('should throw if the uid is missing', function() {
+        expect(() => context.create({rules, driver}).asProvider('google.com')).to.throw();
+      });
+
+    });
+
     describe('get', function() {
 
       it('should fork and add a get operation', function() {
@@ -110,7 +324,7 @@ describe('context', function() {
         expect(ctx1.ops[0]).to.deep.equal({
           op: 'get',
           path: 'foo/bar',
-          auth: {uid: 'bob'},
+          auth: auth.create('bob'),
           value: undefined,
           options: {}
         });
@@ -144,7 +358,7 @@ describe('context', function() {
         expect(ctx1.ops[0]).to.deep.equal({
           op: 'set',
           path: 'foo/bar',
-          auth: {uid: 'bob'},
+          auth: auth.create('bob'),
           value: 1,
           options: {}
         });
@@ -170,7 +384,7 @@ describe('context', function() {
         expect(ctx1.ops[0]).to.deep.equal({
           op: 'update',
           path: 'foo',
-          auth: {uid: 'bob'},
+          auth: auth.create('bob'),
           value: {bar: 1},
           options: {}
         });
@@ -196,7 +410,7 @@ describe('context', function() {
         expect(ctx1.ops[0]).to.deep.equal({
           op: 'push',
           path: 'foo/bar',
-          auth: {uid: 'bob'},
+          auth: auth.create('bob'),
           value: 1,
           options: {}
         });
@@ -211,6 +425,30 @@ describe('context', function() {
 
     });
 
+    describe('transaction', function() {
+
+      it('should fork and add a transaction operation', function() {
+        const update = v => v + 1;
+        const ctx0 = context.create({rules, driver}).as('bob');
+        const ctx1 = ctx0.transaction('foo/bar', update);
+
+        expect(ctx0.ops).to.have.length(0);
+        expect(ctx1.ops).to.have.length(1);
+        expect(ctx1.ops[0]).to.deep.equal({
+          op: 'transaction',
+          path: 'foo/bar',
+          auth: auth.create('bob'),
+          value: update,
+          options: {}
+        });
+      });
+
+      it('should throw if the update function is missing', function() {
+        expect(() => context.create({rules, driver}).transaction('foo/bar')).to.throw();
+      });
+
+    });
+
     describe('remove', function() {
 
       it('should fork and add a set operation', function() {
@@ -222,7 +460,7 @@ describe('context', function() {
         expect(ctx1.ops[0]).to.deep.equal({
           op: 'set',
           path: 'foo/bar',
-          auth: {uid: 'bob'},
+          auth: auth.create('bob'),
           value: null,
           options: {}
         });
@@ -230,6 +468,296 @@ describe('context', function() {
 
     });
 
+    describe('allowed', function() {
+
+      it('should fork and mark the last operation', function() {
+        const ctx0 = context.create({rules, driver}).as('bob').get('foo').set('foo', 1);
+        const ctx1 = ctx0.allowed();
+
+        expect(ctx0.ops[1]).to.not.have.property('expected');
+        expect(ctx1.ops[0]).to.not.have.property('expected');
+        expect(ctx1.ops[1]).to.deep.equal({
+          op: 'set',
+          path: 'foo',
+          auth: auth.create('bob'),
+          value: 1,
+          options: {},
+          expected: 'allowed'
+        });
+      });
+
+      it('should throw if there is no operation to mark', function() {
+        expect(() => context.create({rules, driver}).allowed()).to.throw();
+      });
+
+    });
+
+    describe('denied', function() {
+
+      it('should fork and mark the last operation', function() {
+        const ctx0 = context.create({rules, driver}).get('foo');
+        const ctx1 = ctx0.denied();
+
+        expect(ctx0.ops[0]).to.not.have.property('expected');
+        expect(ctx1.ops[0]).to.have.property('expected', 'denied');
+      });
+
+      it('should throw if there is no operation to mark', function() {
+        expect(() => context.create({rules, driver}).denied()).to.throw();
+      });
+
+    });
+
+    describe('expectData', function() {
+
+      it('should fork and add a data assertion', function() {
+        const ctx0 = context.create({rules, driver}).set('foo/bar', 1);
+        const ctx1 = ctx0.expectData('/foo/bar', 1);
+
+        expect(ctx0.expectations).to.have.length(0);
+        expect(ctx1.expectations).to.deep.equal([{path: 'foo/bar', expected: 1}]);
+        expect(ctx1.ops).to.have.length(1);
+      });
+
+      it('should be reset by startWith', function() {
+        const ctx = context.create({rules, driver}).expectData('foo', 1).startWith(null);
+
+        expect(ctx.expectations).to.have.length(0);
+      });
+
+      it('should check the sequence resulting data', function() {
+        const ctx = context.create({rules, driver}).set('foo/bar', 1);
+
+        ctx.driver.exec.returns({foo: {bar: 1}});
+
+        return ctx.expectData('foo', {bar: 1}).then(
+          r => expect(r).to.deep.equal({foo: {bar: 1}})
+        );
+      });
+
+      it('should reject if the data do not match', function() {
+        const ctx = context.create({rules, driver}).set('foo/bar', 1);
+
+        ctx.driver.exec.returns(Promise.resolve({foo: {bar: 2}}));
+
+        return ctx.expectData('foo/bar', 1).ok().then(
+          () => Promise.reject(new Error('unexpected')),
+          e => {
+            expect(e.original).to.be.an.instanceof(data.DataError);
+            expect(e.original.diff).to.deep.equal([{path: 'foo/bar', expected: 1, actual: 2}]);
+          }
+        );
+      });
+
+    });
+
+    describe('matchSnapshot', function() {
+
+      it('should fork and add a snapshot assertion', function() {
+        const ctx0 = context.create({rules, driver}).set('foo/bar', 1);
+        const ctx1 = ctx0.matchSnapshot('foo', {file: '/path/to/test.js'});
+
+        expect(ctx0.expectations).to.have.length(0);
+        expect(ctx1.expectations).to.have.length(1);
+        expect(ctx1.expectations[0].path).to.equal('');
+        expect(ctx1.expectations[0].assert).to.be.a('function');
+      });
+
+      it('should require a name', function() {
+        expect(() => context.create({rules, driver}).matchSnapshot()).to.throw();
+      });
+
+      it('should check the sequence resulting data against the snapshot', function() {
+        const ctx = context.create({rules, driver}).set('foo/bar', 1).matchSnapshot('foo');
+
+        sinon.stub(snapshot, 'match');
+        ctx.driver.exec.returns({foo: {bar: 1}});
+
+        return ctx.then(
+          r => {
+            expect(snapshot.match).to.have.been.calledOnce();
+            expect(snapshot.match).to.have.been.calledWith({foo: {bar: 1}}, {
+              name: 'foo',
+              file: path.join(__dirname, '__snapshots__/context.js.snap.json')
+            });
+            expect(r).to.deep.equal({foo: {bar: 1}});
+          }
+        ).then(
+          () => snapshot.match.restore(),
+          e => {
+            snapshot.match.restore();
+
+            return Promise.reject(e);
+          }
+        );
+      });
+
+    });
+
+    describe('matrix', function() {
+      const users = {alice: {admin: true}, bob: {}, guest: null};
+      const ops = {
+        read: {op: 'get', path: '/orgs/x'},
+        rename: {op: 'set', path: '/orgs/x/name', value: 'X'}
+      };
+      const matrixRules = {
+        rules: {
+          orgs: {
+            $org: {
+              '.read': 'auth != null',
+              '.write': 'auth.admin == true'
+            }
+          }
+        }
+      };
+
+      it('should resolve if every cell matches', function() {
+        const ctx = context.create({rules: matrixRules, driver: simulated.create()});
+
+        return ctx.matrix({
+          users,
+          ops,
+          expect: {
+            alice: {read: 'allow', rename: 'allow'},
+            bob: {read: 'allow', rename: 'deny'},
+            guest: {read: 'deny', rename: 'deny'}
+          }
+        });
+      });
+
+      it('should report every mismatching cell', function() {
+        const ctx = context.create({rules: matrixRules, driver: simulated.create()});
+
+        return ctx.matrix({
+          users,
+          ops,
+          expect: {
+            alice: {read: 'allow', rename: 'deny'},
+            bob: {read: 'allow', rename: 'allow'},
+            guest: {read: 'deny', rename: 'deny'}
+          }
+        }).then(
+          () => Promise.reject(new Error('unexpected')),
+          e => {
+            expect(e).to.be.an.instanceof(matrix.MatrixError);
+            expect(e.mismatches.map(m => [m.user, m.op, m.expected, m.actual])).to.deep.equal([
+              ['alice', 'rename', 'denied', 'allowed'],
+              ['bob', 'rename', 'allowed', 'denied']
+            ]);
+            expect(e.message).to.contain('bob   | allowed | DENIED (expected allowed)');
+          }
+        );
+      });
+
+      it('should run the sequences lazily', function() {
+        const ctx = context.create({rules, driver}).matrix({
+          users: {bob: {}},
+          ops: {read: {op: 'get', path: 'foo'}},
+          expect: {bob: {read: 'allow'}}
+        });
+
+        expect(driver.exec).to.not.have.been.called();
+
+        return ctx.then(() => {
+          expect(driver.exec).to.have.been.calledOnce();
+          expect(driver.exec.lastCall.args[0].ops).to.deep.equal([
+            {op: 'get', path: 'foo', value: undefined, auth: auth.create('bob'), options: {}, expected: 'allowed'}
+          ]);
+        });
+      });
+
+      it('should report completion via a callback', function(done) {
+        context.create({rules, driver}).matrix({
+          users: {bob: {}},
+          ops: {read: {op: 'get', path: 'foo'}},
+          expect: {bob: {read: 'allow'}},
+          done
+        });
+      });
+
+      it('should let skipped sequences through', function() {
+        const skip = new errors.SkipError('no clock');
+
+        driver.exec.returns(Promise.reject(skip));
+
+        return context.create({rules, driver}).matrix({
+          users: {bob: {}},
+          ops: {read: {op: 'get', path: 'foo'}},
+          expect: {bob: {read: 'allow'}}
+        }).then(
+          () => Promise.reject(new Error('unexpected')),
+          e => expect(e).to.equal(skip)
+        );
+      });
+
+    });
+
+    describe('fuzz', function() {
+      const fuzzRules = {
+        rules: {
+          users: {
+            $uid: {
+              '.write': 'auth.uid == $uid',
+              age: {'.validate': 'newData.isNumber() && newData.val() >= 0'}
+            }
+          }
+        }
+      };
+
+      it('should resolve with the fuzzing report', function() {
+        const ctx = context.create({rules: fuzzRules, driver: simulated.create()});
+
+        return ctx.fuzz('/users/bob/age', {
+          as: 'bob',
+          generator: fuzz.integer(-10, 10),
+          runs: 10,
+          seed: 1,
+          valid: age => age >= 0
+        }).then(report => {
+          expect(report).to.include({seed: 1, runs: 10});
+          expect(report.accepted + report.rejected).to.equal(10);
+        });
+      });
+
+      it('should write the payloads as the user', function() {
+        const ctx = context.create({rules: fuzzRules, driver: simulated.create()});
+
+        return ctx.fuzz('/users/bob/age', {as: 'alice', generator: fuzz.integer(0, 10), valid: () => true, seed: 1}).then(
+          () => Promise.reject(new Error('unexpected')),
+          e => {
+            expect(e).to.be.an.instanceof(fuzz.FuzzError);
+            expect(e).to.have.property('kind', 'rejected');
+            expect(e).to.have.property('payload', 0);
+          }
+        );
+      });
+
+      it('should run lazily', function() {
+        const ctx = context.create({rules, driver: Object.assign(driver, {id: 'targaryen'})});
+        const assertion = ctx.fuzz('foo', {generator: fuzz.constant(1), runs: 2});
+
+        expect(driver.exec).to.not.have.been.called();
+
+        return assertion.then(() => {
+          expect(driver.exec).to.have.been.calledTwice();
+          expect(driver.exec.lastCall.args[0].ops).to.deep.equal([
+            {op: 'set', path: 'foo', value: 1, auth: null, options: {}}
+          ]);
+        });
+      });
+
+      it('should skip with other drivers', function() {
+        return context.create({rules, driver}).fuzz('foo').then(
+          () => Promise.reject(new Error('unexpected')),
+          e => {
+            expect(e).to.be.an.instanceof(errors.SkipError);
+            expect(driver.exec).to.not.have.been.called();
+          }
+        );
+      });
+
+    });
+
     describe('then', function() {
 
       it('should run the sequence of operation', function() {
@@ -310,6 +838,23 @@ describe('context', function() {
         );
       });
 
+      it('should hold the assertion message', function() {
+        const ctx = context.create({rules, driver}).set('foo/bar');
+
+        expect(ctx.ok({msg: 'bob can write'}).message).to.equal('bob can write');
+        expect(ctx.shouldFail({msg: 'bob cannot write'}).message).to.equal('bob cannot write');
+      });
+
+      it('should tell if the assertion can run concurrently', function() {
+        const ctx = context.create({rules, driver}).set('foo/bar');
+
+        expect(ctx.ok().concurrent).to.be.false();
+
+        driver.concurrent = true;
+        expect(ctx.ok().concurrent).to.be.true();
+        expect(ctx.shouldFail().concurrent).to.be.true();
+      });
+
       it('should report error', function(done) {
         const err = new Error();
         const ctx = context.create({rules, driver}).set('foo/bar');
@@ -325,6 +870,23 @@ describe('context', function() {
         );
       });
 
+      it('should report the failing operation details', function() {
+        const ctx = context.create({rules, driver}).as('bob').set('foo/bar', 1);
+        const err = new errors.OperationError(0, ctx.ops[0], {allowed: false, trace: 'write was denied.'});
+
+        ctx.driver.exec.throws(err);
+
+        return ctx.ok().then(
+          () => Promise.reject(new Error('unexpected')),
+          e => {
+            expect(e.original).to.equal(err);
+            expect([e.index, e.type, e.path, e.value, e.trace]).to.deep.equal([0, 'set', 'foo/bar', 1, 'write was denied.']);
+            expect(e.auth).to.equal(ctx.ops[0].auth);
+            expect(e.message).to.contain('Rules evaluation:\n    write was denied.');
+          }
+        );
+      });
+
       it('should report error with custom message', function(done) {
         const err = new Error();
         const ctx = context.create({rules, driver}).set('foo/bar');
@@ -404,12 +966,41 @@ describe('context', function() {
 
     });
 
+    describe('SkipError', function() {
+
+      it('should not be wrapped by ok', function() {
+        const err = new errors.SkipError('some reason');
+        const ctx = context.create({rules, driver}).set('foo/bar');
+
+        ctx.driver.exec.throws(err);
+
+        return ctx.ok().then(
+          () => Promise.reject(new Error('unexpected')),
+          e => expect(e).to.equal(err)
+        );
+      });
+
+      it('should not be swallowed by shouldFail', function() {
+        const err = new errors.SkipError('some reason');
+        const ctx = context.create({rules, driver}).set('foo/bar');
+
+        ctx.driver.exec.throws(err);
+
+        return ctx.shouldFail().then(
+          () => Promise.reject(new Error('unexpected')),
+          e => expect(e).to.equal(err)
+        );
+      });
+
+    });
+
     describe('shouldFail', function() {
+      const denial = new errors.OperationError(0, {op: 'set', path: 'foo/bar'}, {allowed: false});
 
       it('should return a thenable object', function(done) {
         const ctx = context.create({rules, driver}).set('foo/bar');
 
-        ctx.driver.exec.throws();
+        ctx.driver.exec.throws(denial);
 
         ctx.shouldFail().then(
           () => done(),
@@ -449,7 +1040,7 @@ describe('context', function() {
           }
         };
 
-        ctx.driver.exec.throws();
+        ctx.driver.exec.throws(denial);
 
         ctx.shouldFail({done: cb});
       });
@@ -468,6 +1059,41 @@ describe('context', function() {
         ctx.shouldFail({done: cb});
       });
 
+      it('should take any driver error for the expected failure', function() {
+        const ctx = context.create({rules, driver}).set('foo/bar');
+
+        ctx.driver.exec.throws(new Error('Permission denied'));
+
+        return ctx.shouldFail();
+      });
+
+      it('should report skipped sequences', function() {
+        const err = new errors.SkipError('not supported');
+        const ctx = context.create({rules, driver}).set('foo/bar');
+
+        ctx.driver.exec.throws(err);
+
+        return ctx.shouldFail().then(
+          () => Promise.reject(new Error('unexpected')),
+          e => expect(e).to.equal(err)
+        );
+      });
+
+      it('should not take a data mismatch for a denial', function() {
+        const ctx = context.create({rules: {rules: {'.write': true}}, driver: simulated.create()});
+
+        return ctx.set('a', 1).expectData('a', 2).shouldFail().then(
+          () => Promise.reject(new Error('unexpected')),
+          e => expect(e).to.be.an.instanceof(data.DataError)
+        );
+      });
+
+      it('should pass if an operation is denied', function() {
+        const ctx = context.create({rules: {rules: {'.write': false}}, driver: simulated.create()});
+
+        return ctx.set('a', 1).shouldFail();
+      });
+
     });
 
   });
@@ -0,0 +1,309 @@
+'use strict';
+
+const coverage = require('../src/coverage');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+describe('coverage', function() {
+  const rules = {
+    rules: {
+      '.read': true,
+      users: {
+        '.indexOn': 'name',
+        $uid: {
+          '.write': 'auth.uid == $uid',
+          '.validate': 'newData.hasChildren()'
+        }
+      }
+    }
+  };
+
+  afterEach(function() {
+    coverage.stop();
+    coverage.reset();
+  });
+
+  describe('RulesCoverage', function() {
+
+    it('should list every rule', function() {
+      const tracker = new coverage.RulesCoverage(rules);
+
+      expect(tracker.report().rules.map(r => [r.path, r.kind, r.rule, r.branches])).to.deep.equal([
+        ['', '.read', 'true', false],
+        ['users', '.indexOn', '"name"', false],
+        ['users/$uid', '.write', 'auth.uid == $uid', true],
+        ['users/$uid', '.validate', 'newData.hasChildren()', true]
+      ]);
+    });
+
+    it('should record evaluation logs', function() {
+      const tracker = new coverage.RulesCoverage(rules);
+
+      tracker.record([
+        {path: '', hasNoRules: true},
+        {path: 'users/bob', kind: 'write', value: true},
+        {path: 'users/bob', kind: 'write', value: false},
+        {path: 'users/bob', kind: 'validate', error: new Error()},
+        {path: 'posts', kind: 'write', value: true}
+      ]);
+
+      const [read, , write, validate] = tracker.report().rules;
+
+      expect(read).to.include({hits: 0, status: 'missed'});
+      expect(write).to.include({hits: 2, true: 1, false: 1, errors: 0, status: 'covered'});
+      expect(validate).to.include({hits: 1, true: 0, false: 1, errors: 1, status: 'partial'});
+    });
+
+    it('should record index usage', function() {
+      const tracker = new coverage.RulesCoverage(rules);
+
+      tracker.recordIndex('users', 'email');
+      expect(tracker.report().rules[1]).to.include({hits: 0, status: 'missed'});
+
+      tracker.recordIndex('users', 'name');
+      expect(tracker.report().rules[1]).to.include({hits: 1, status: 'covered'});
+    });
+
+    it('should summarize coverage', function() {
+      const tracker = new coverage.RulesCoverage(rules);
+
+      tracker.record([{path: '', kind: 'read', value: true}, {path: 'users/bob', kind: 'write', value: false}]);
+
+      expect(tracker.report().summary).to.deep.equal({
+        rules: {total: 4, covered: 2, percent: 50},
+        outcomes: {total: 4, covered: 1, percent: 25}
+      });
+    });
+
+  });
+
+  describe('record', function() {
+
+    it('should only record when enabled', function() {
+      coverage.record(rules, [{path: '', kind: 'read', value: true}]);
+      expect(coverage.report().files).to.have.length(0);
+
+      coverage.start();
+      coverage.record(rules, [{path: '', kind: 'read', value: true}]);
+      coverage.record(rules, [{path: '', kind: 'read', value: true}]);
+      coverage.recordIndex(rules, 'users', 'name');
+
+      const report = coverage.report();
+
+      expect(report.files).to.have.length(1);
+      expect(report.files[0].rules[0].hits).to.equal(2);
+      expect(report.files[0].rules[1].hits).to.equal(1);
+      expect(report.summary.rules).to.include({total: 4, covered: 2});
+    });
+
+    it('should track each rules definition', function() {
+      coverage.start();
+      coverage.record(rules, []);
+      coverage.record({rules: {'.read': true}}, []);
+
+      expect(coverage.report().files).to.have.length(2);
+      expect(coverage.track(rules)).to.equal(coverage.track(JSON.parse(JSON.stringify(rules))));
+    });
+
+    it('should keep the tracker of a rules object', function() {
+      const copy = JSON.parse(JSON.stringify(rules));
+      const tracker = coverage.track(copy);
+
+      copy.rules.foo = {'.read': true};
+
+      expect(coverage.track(copy)).to.equal(tracker);
+    });
+
+  });
+
+  describe('formats', function() {
+    let report;
+
+    beforeEach(function() {
+      const tracker = coverage.track(rules, {name: 'database.rules.json'});
+
+      tracker.record([
+        {path: '', kind: 'read', value: true},
+        {path: 'users/bob', kind: 'write', value: true},
+        {path: 'users/bob', kind: 'validate', value: true},
+        {path: 'users/bob', kind: 'validate', value: false}
+      ]);
+      report = coverage.report();
+    });
+
+    it('should render a text summary', function() {
+      expect(coverage.toText(report)).to.equal([
+        'Rules coverage',
+        '  database.rules.json: rules 3/4 (75%), outcomes 3/4 (75%)',
+        '  Never evaluated:',
+        '    /users/.indexOn: "name"',
+        '  Never evaluated to both true and false:',
+        '    /users/$uid/.write: auth.uid == $uid (true: 1, false: 0)',
+        '  Total: rules 3/4 (75%), outcomes 3/4 (75%)'
+      ].join('\n'));
+    });
+
+    it('should render JSON', function() {
+      expect(JSON.parse(coverage.toJSON(report))).to.deep.equal(report);
+    });
+
+    it('should render lcov', function() {
+      expect(coverage.toLcov(report)).to.equal([
+        'TN:',
+        'SF:database.rules.json',
+        'FN:1,/.read',
+        'FN:2,/users/.indexOn',
+        'FN:3,/users/$uid/.write',
+        'FN:4,/users/$uid/.validate',
+        'FNDA:1,/.read',
+        'FNDA:0,/users/.indexOn',
+        'FNDA:1,/users/$uid/.write',
+        'FNDA:2,/users/$uid/.validate',
+        'FNF:4',
+        'FNH:3',
+        'BRDA:3,0,0,1',
+        'BRDA:3,0,1,0',
+        'BRDA:4,0,0,1',
+        'BRDA:4,0,1,1',
+        'BRF:4',
+        'BRH:3',
+        'DA:1,1',
+        'DA:2,0',
+        'DA:3,1',
+        'DA:4,2',
+        'LF:4',
+        'LH:3',
+        'end_of_record',
+        ''
+      ].join('\n'));
+    });
+
+    it('should write the reports', function() {
+      const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'firebase-test-'));
+      const files = ['rules-coverage.txt', 'rules-coverage.json', 'rules-lcov.info'];
+
+      try {
+        coverage.write(report, {dir});
+        expect(fs.readdirSync(dir).sort()).to.deep.equal(files.sort());
+      } finally {
+        files.forEach(f => fs.existsSync(path.join(dir, f)) && fs.unlinkSync(path.join(dir, f)));
+        fs.rmdirSync(dir);
+      }
+    });
+
+  });
+
+  describe('check', function() {
+    const report = {summary: {rules: {percent: 75}, outcomes: {percent: 50}}};
+
+    it('should throw if the rules coverage is below the threshold', function() {
+      expect(() => coverage.check(report, 75)).to.not.throw();
+      expect(() => coverage.check(report, 80)).to.throw(/rules 75% < 80%/);
+    });
+
+    it('should accept a threshold per metric', function() {
+      expect(() => coverage.check(report, {rules: 70, outcomes: 50})).to.not.throw();
+      expect(() => coverage.check(report, {outcomes: 60})).to.throw(/outcomes 50% < 60%/);
+    });
+
+    it('should pass without threshold', function() {
+      expect(() => coverage.check(report, null)).to.not.throw();
+      expect(() => coverage.check(report)).to.not.throw();
+    });
+
+  });
+
+  describe('setup', function() {
+
+    it('should do nothing if FIREBASE_TEST_COVERAGE is not set', function() {
+      const proc = {on: sinon.spy()};
+
+      expect(coverage.setup({src: {}, process: proc})).to.be.false();
+      expect(coverage.isEnabled()).to.be.false();
+      expect(proc.on).to.not.have.been.called();
+    });
+
+    it('should write the report on exit', function() {
+      const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'firebase-test-'));
+      const proc = {on: sinon.spy()};
+      const out = {log: sinon.spy(), error: sinon.spy()};
+      const src = {FIREBASE_TEST_COVERAGE: dir, FIREBASE_TEST_COVERAGE_THRESHOLD: '50'};
+
+      try {
+        expect(coverage.setup({src, process: proc, console: out})).to.be.true();
+        expect(coverage.isEnabled()).to.be.true();
+        expect(proc.on).to.have.been.calledWith('exit');
+
+        coverage.record(rules, [{path: '', kind: 'read', value: true}]);
+        proc.on.lastCall.args[1]();
+
+        expect(fs.readdirSync(dir)).to.have.length(3);
+        expect(out.log).to.have.been.calledWith(sinon.match(/Rules coverage/));
+        expect(out.error).to.have.been.calledWith(sinon.match(/below threshold/));
+        expect(proc.exitCode).to.equal(1);
+
+        expect(coverage.setup({src, process: proc, console: out})).to.be.true();
+        expect(proc.on).to.have.been.calledOnce();
+      } finally {
+        fs.readdirSync(dir).forEach(f => fs.unlinkSync(path.join(dir, f)));
+        fs.rmdirSync(dir);
+      }
+    });
+
+    it('should create the missing report directories', function() {
+      const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'firebase-test-'));
+      const reportDir = path.join(dir, 'reports', 'rules');
+      const proc = {on: sinon.spy()};
+      const out = {log: sinon.spy(), error: sinon.spy()};
+
+      try {
+        coverage.setup({src: {FIREBASE_TEST_COVERAGE: reportDir}, process: proc, console: out});
+        proc.on.lastCall.args[1]();
+
+        expect(fs.readdirSync(reportDir)).to.have.length(3);
+        expect(out.error).to.not.have.been.called();
+      } finally {
+        fs.readdirSync(reportDir).forEach(f => fs.unlinkSync(path.join(reportDir, f)));
+        fs.rmdirSync(reportDir);
+        fs.rmdirSync(path.dirname(reportDir));
+        fs.rmdirSync(dir);
+      }
+    });
+
+    it('should report a failure to write the report', function() {
+      const file = path.join(os.tmpdir(), `firebase-test-${Date.now()}`);
+      const proc = {on: sinon.spy()};
+      const out = {log: sinon.spy(), error: sinon.spy()};
+
+      fs.writeFileSync(file, '');
+
+      try {
+        coverage.setup({src: {FIREBASE_TEST_COVERAGE: path.join(file, 'rules')}, process: proc, console: out});
+        expect(() => proc.on.lastCall.args[1]()).to.not.throw();
+        expect(out.log).to.have.been.calledWith(sinon.match(/Rules coverage/));
+        expect(out.error).to.have.been.calledWith(sinon.match(/Failed to write the rules coverage report/));
+        expect(proc.exitCode).to.equal(1);
+      } finally {
+        fs.unlinkSync(file);
+      }
+    });
+
+    it('should throw on invalid thresholds', function() {
+      const proc = {on: sinon.spy()};
+
+      expect(() => coverage.setup({
+        src: {FIREBASE_TEST_COVERAGE: 'coverage', FIREBASE_TEST_COVERAGE_THRESHOLD: 'ninety'},
+        process: proc
+      })).to.throw(/Invalid FIREBASE_TEST_COVERAGE_THRESHOLD "ninety"/);
+      expect(() => coverage.setup({
+        src: {FIREBASE_TEST_COVERAGE: 'coverage', FIREBASE_TEST_COVERAGE_OUTCOMES_THRESHOLD: ''},
+        process: proc
+      })).to.throw(/Invalid FIREBASE_TEST_COVERAGE_OUTCOMES_THRESHOLD/);
+      expect(proc.on).to.not.have.been.called();
+      expect(coverage.isEnabled()).to.be.false();
+    });
+
+  });
+
+});
@@ -0,0 +1,117 @@
+'use strict';
+
+const data = require('../src/data');
+
+describe('data', function() {
+
+  describe('normalize', function() {
+
+    it('should convert undefined to null', function() {
+      expect(data.normalize()).to.be.null();
+      expect(data.normalize(null)).to.be.null();
+    });
+
+    it('should keep primitive values', function() {
+      expect(data.normalize(1)).to.equal(1);
+      expect(data.normalize('foo')).to.equal('foo');
+      expect(data.normalize(false)).to.equal(false);
+    });
+
+    it('should convert arrays to objects', function() {
+      expect(data.normalize(['foo', 'bar'])).to.deep.equal({0: 'foo', 1: 'bar'});
+    });
+
+    it('should remove null and empty children', function() {
+      expect(data.normalize({foo: null, bar: {}, baz: {qux: {}}})).to.be.null();
+      expect(data.normalize({foo: 1, bar: {}})).to.deep.equal({foo: 1});
+    });
+
+  });
+
+  describe('child', function() {
+
+    it('should return the value at a location', function() {
+      const tree = {foo: {bar: {baz: 1}}};
+
+      expect(data.child(tree, '')).to.deep.equal(tree);
+      expect(data.child(tree, 'foo/bar')).to.deep.equal({baz: 1});
+      expect(data.child(tree, ['foo', 'bar', 'baz'])).to.equal(1);
+    });
+
+    it('should return null for missing locations', function() {
+      expect(data.child(null, 'foo')).to.be.null();
+      expect(data.child({foo: 1}, 'foo/bar')).to.be.null();
+      expect(data.child({foo: 1}, 'bar')).to.be.null();
+    });
+
+  });
+
+  describe('diff', function() {
+
+    it('should return an empty list for matching values', function() {
+      expect(data.diff(1, 1)).to.deep.equal([]);
+      expect(data.diff({foo: {bar: 1}}, {foo: {bar: 1}})).to.deep.equal([]);
+    });
+
+    it('should list each mismatching location', function() {
+      expect(data.diff({foo: 1, bar: {baz: 2}}, {bar: {baz: 3}, qux: 4}, 'root')).to.deep.equal([
+        {path: 'root/bar/baz', expected: 2, actual: 3},
+        {path: 'root/foo', expected: 1, actual: null},
+        {path: 'root/qux', expected: null, actual: 4}
+      ]);
+    });
+
+    it('should report mismatching types', function() {
+      expect(data.diff({foo: 1}, 1)).to.deep.equal([
+        {path: '', expected: {foo: 1}, actual: 1}
+      ]);
+    });
+
+  });
+
+  describe('check', function() {
+
+    it('should return the tree', function() {
+      const tree = {foo: 1};
+
+      expect(data.check(tree)).to.equal(tree);
+      expect(data.check(tree, [{path: 'foo', expected: 1}])).to.equal(tree);
+    });
+
+    it('should throw a DataError if the data do not match', function() {
+      const tree = {foo: {bar: 1, baz: 2}};
+      const expectations = [{path: 'foo', expected: {bar: 1, baz: 3}}];
+
+      expect(() => data.check(tree, expectations)).to.throw(data.DataError);
+
+      try {
+        data.check(tree, expectations);
+      } catch (e) {
+        expect(e.path).to.equal('foo');
+        expect(e.expected).to.deep.equal({bar: 1, baz: 3});
+        expect(e.actual).to.deep.equal({bar: 1, baz: 2});
+        expect(e.diff).to.deep.equal([{path: 'foo/baz', expected: 3, actual: 2}]);
+        expect(e.message).to.contain('/foo/baz: expected 3, got 2');
+      }
+    });
+
+    it('should compare normalized data', function() {
+      const tree = {foo: {0: 'bar', 1: 'baz'}};
+
+      expect(() => data.check(tree, [{path: 'foo', expected: ['bar', 'baz']}])).to.not.throw();
+      expect(() => data.check(tree, [{path: 'qux', expected: {}}])).to.not.throw();
+    });
+
+    it('should test data with a predicate', function() {
+      const tree = {foo: 1};
+      const isOne = sinon.stub().returns(true);
+      const isTwo = v => v === 2;
+
+      expect(() => data.check(tree, [{path: 'foo', expected: isOne}])).to.not.throw();
+      expect(isOne).to.have.been.calledWith(1);
+      expect(() => data.check(tree, [{path: 'foo', expected: isTwo}])).to.throw(data.DataError, /predicate/);
+    });
+
+  });
+
+});
@@ -0,0 +1,187 @@
+'use strict';
+
+const auth = require('../../src/auth');
+const context = require('../../src/context');
+const emulator = require('../../src/drivers/emulator');
+const errors = require('../../src/errors');
+const utils = require('../utils');
+
+describe('emulator', function() {
+
+  describe('client', function() {
+
+    it('should target a namespace of the emulator', function() {
+      const client = emulator.create({host: 'localhost:9001', timeout: 1000}).createClient('foo');
+
+      expect(client).to.have.property('projectId', 'foo');
+      expect(client).to.have.property('timeout', 1000);
+      expect(client.uri()).to.equal('http://localhost:9001/.json?ns=foo');
+      expect(client.uri('bar/baz', {auth: 'qux'})).to.equal('http://localhost:9001/bar/baz.json?ns=foo&auth=qux');
+    });
+
+    it('should throw if the host is missing', function() {
+      expect(() => emulator.create({host: ''})).to.throw();
+    });
+
+  });
+
+  describe('namespace', function() {
+
+    it('should create unique namespace names', function() {
+      const first = emulator.namespace('foo');
+
+      expect(first).to.match(/^foo-[a-z0-9]+-\d+-[a-f0-9]{8}$/);
+      expect(emulator.namespace('foo')).to.not.equal(first);
+    });
+
+  });
+
+  describe('tokenGenerator', function() {
+    const decode = part => JSON.parse(Buffer.from(part.replace(/-/g, '+').replace(/_/g, '/'), 'base64').toString());
+
+    it('should create unsigned ID tokens', function() {
+      const token = emulator.tokenGenerator().createToken(auth.create('bob', {admin: true}), {debug: true});
+      const [header, payload, signature] = token.split('.');
+
+      expect(decode(header)).to.deep.equal({alg: 'none', typ: 'JWT'});
+      expect(decode(payload)).to.include({sub: 'bob', user_id: 'bob', admin: true});
+      expect(decode(payload)).to.have.deep.property('firebase.sign_in_provider', 'custom');
+      expect(decode(payload).exp).to.be.above(decode(payload).iat);
+      expect(signature).to.equal('');
+    });
+
+    it('should use the owner token for admin requests', function() {
+      expect(emulator.tokenGenerator().createToken({uid: 'DB Admin'}, {admin: true})).to.equal('owner');
+    });
+
+  });
+
+  describe('create', function() {
+
+    it('should create a firebase-test driver', function() {
+      const driver = emulator.create();
+
+      expect(driver.id).to.equal('emulator');
+      expect(driver.host).to.equal('localhost:9000');
+      expect(driver.nsPrefix).to.equal('firebase-test');
+      expect(driver).respondTo('init');
+      expect(driver).respondTo('exec');
+    });
+
+    it('should allow sequences to run concurrently', function() {
+      expect(emulator.create().concurrent).to.be.true();
+    });
+
+    describe('#exec', function() {
+      let clients, driver;
+
+      beforeEach(function() {
+        clients = [];
+        driver = emulator.create({
+          nsPrefix: 'test',
+          createClient: ns => {
+            const client = {
+              ns,
+              rules: sinon.stub().returns(Promise.resolve()),
+              get: sinon.stub().returns(Promise.resolve()),
+              set: sinon.stub().returns(Promise.resolve()),
+              update: sinon.stub().returns(Promise.resolve()),
+              push: sinon.stub().returns(Promise.resolve()),
+              transaction: sinon.stub().returns(Promise.resolve())
+            };
+
+            clients.push(client);
+
+            return client;
+          },
+          tokenGenerator: {
+            createToken(data, opts) {
+              return opts.admin ? 'owner' : `${data.uid}-token`;
+            }
+          }
+        });
+      });
+
+      it('should run each sequence in its own namespace', function() {
+        const rules = {rules: {'.read': true}};
+        const ctx = context.create({rules, driver}).startWith({foo: 1}).as('bob').get('/foo');
+
+        return Promise.all([driver.exec(ctx), driver.exec(ctx)]).then(() => {
+          expect(clients).to.have.length(2);
+          expect(clients[0].ns).to.match(/^test-/);
+          expect(clients[0].ns).to.not.equal(clients[1].ns);
+
+          clients.forEach(client => {
+            expect(client.rules).to.have.been.calledWith({rules, secret: 'owner'});
+            expect(client.set).to.have.been.calledWith({paths: '', payload: {foo: 1}, auth: 'owner', silent: true});
+            expect(client.get).to.have.been.calledAfter(client.rules);
+            expect(client.get).to.have.been.calledWith({paths: 'foo', auth: 'bob-token', silent: true});
+          });
+        });
+      });
+
+      it('should reject if an operation outcome is unexpected', function() {
+        const denial = Object.assign(new Error('Permission denied'), {statusCode: 401});
+        const ctx = context.create({rules: {}, driver}).set('/foo', 1);
+
+        driver.createClient = ns => Object.assign(emulator.create().createClient(ns), {
+          rules: () => Promise.resolve(),
+          set({auth: token}) {
+            return token === 'owner' ? Promise.resolve() : Promise.reject(denial);
+          }
+        });
+
+        return driver.exec(ctx).then(
+          () => Promise.reject(new Error('unexpected')),
+          e => {
+            expect(e).to.be.an.instanceof(errors.OperationError);
+            expect(e.allowed).to.be.false();
+          }
+        );
+      });
+
+      it('should skip sequences requiring a fixed time', function() {
+        const ctx = context.create({rules: {}, driver}).atTime(1000).get('foo');
+
+        return driver.exec(ctx).then(
+          () => Promise.reject(new Error('unexpected')),
+          e => {
+            expect(e).to.be.an.instanceof(errors.SkipError);
+            expect(clients).to.have.length(0);
+          }
+        );
+      });
+
+    });
+
+    describe('with an emulator', function() {
+      const port = 6001;
+      let server;
+
+      beforeEach(function() {
+        server = utils.server({port, returns: () => [200, null]}).start();
+      });
+
+      afterEach(function() {
+        server.stop();
+      });
+
+      it('should send the requests to the emulator namespace', function() {
+        const driver = emulator.create({host: `localhost:${port}`, nsPrefix: 'app'});
+        const ctx = context.create({rules: {rules: {}}, driver}).as('bob').set('/foo', 1);
+
+        return driver.exec(ctx).then(() => {
+          const urls = server.calls.map(req => `${req.method} ${req.url.replace(/ns=app-[a-z0-9]+-\d+-[a-f0-9]{8}/, 'ns=app')}`);
+
+          expect(urls).to.have.length(3);
+          expect(urls).to.include('PUT /.settings/rules.json?ns=app&auth=owner');
+          expect(urls).to.include('PUT /.json?ns=app&auth=owner&print=silent');
+          expect(urls[2]).to.match(/^PUT \/foo\.json\?ns=app&auth=[^&]+&print=silent$/);
+        });
+      });
+
+    });
+
+  });
+
+});
@@ -2,6 +2,7 @@
 
 describe('drivers', function() {
 
+  require('./emulator');
   require('./live');
   require('./simulated');
 
@@ -1,9 +1,9 @@
 'use strict';
 
 const jsonBody = require('body/json');
+const auth = require('../../src/auth');
 const context = require('../../src/context');
-const path = require('../../src/path');
-const querystring = require('querystring');
+const errors = require('../../src/errors');
 const live = require('../../src/drivers/live');
 const utils = require('../utils');
 
@@ -23,6 +23,35 @@ describe('live', function() {
       expect(() => live.client({projectId: ''})).to.throw();
     });
 
+    it('should take a database URL option', function() {
+      const client = live.client({databaseURL: 'https://my-db.europe-west1.firebasedatabase.app/'});
+
+      expect(client).to.have.property('databaseURL', 'https://my-db.europe-west1.firebasedatabase.app');
+      expect(client).to.have.property('projectId', 'my-db');
+      expect(client).to.have.property('timeout', 5000);
+    });
+
+    it('should take the driver environment options', function() {
+      const client = live.client({databaseURL: 'http://localhost:9000', ns: 'foo', timeout: '1000'});
+
+      expect(client).to.have.property('databaseURL', 'http://localhost:9000');
+      expect(client).to.have.property('ns', 'foo');
+      expect(client).to.have.property('projectId', 'foo');
+      expect(client).to.have.property('timeout', 1000);
+    });
+
+    it('should throw if the database URL is invalid', function() {
+      expect(() => live.client({databaseURL: 'localhost:9000'})).to.throw(/Invalid database URL/);
+      expect(() => live.client({databaseURL: 'ftp://localhost'})).to.throw(/Invalid database URL/);
+      expect(() => live.client({databaseURL: 'http://localhost:9000?ns=foo'})).to.throw(/"ns" option/);
+    });
+
+    it('should throw if the timeout is invalid', function() {
+      expect(() => live.client({projectId: 'foo', timeout: 'foo'})).to.throw(/Invalid request timeout/);
+      expect(() => live.client({projectId: 'foo', timeout: 0})).to.throw(/Invalid request timeout/);
+      expect(() => live.client({projectId: 'foo', timeout: ''})).to.throw(/Invalid request timeout/);
+    });
+
     describe('#uri', function() {
 
       it('should build a rest url', function() {
@@ -34,6 +63,13 @@ describe('live', function() {
         expect(client.uri('bar/baz', {print: 'pretty', auth: 'qux'})).to.equal('https://foo.firebaseio.com/bar/baz.json?print=pretty&auth=qux');
       });
 
+      it('should use the database URL and namespace', function() {
+        const client = live.client({databaseURL: 'http://localhost:9000/proxy/', ns: 'foo'});
+
+        expect(client.uri()).to.equal('http://localhost:9000/proxy/.json?ns=foo');
+        expect(client.uri('bar/baz', {auth: 'qux'})).to.equal('http://localhost:9000/proxy/bar/baz.json?ns=foo&auth=qux');
+      });
+
     });
 
     describe('#qs', function() {
@@ -53,6 +89,16 @@ describe('live', function() {
         expect(client.qs({})).to.deep.equal({});
       });
 
+      it('should handle query option', function() {
+        const client = live.client({projectId: 'foo'});
+
+        expect(client.qs({query: {orderByChild: 'bar', limitToFirst: 1}})).to.deep.equal({
+          orderBy: '"bar"',
+          limitToFirst: '1'
+        });
+        expect(client.qs({query: null})).to.deep.equal({});
+      });
+
       it('should handle shallow option', function() {
         const client = live.client({projectId: 'foo'});
 
@@ -70,8 +116,7 @@ describe('live', function() {
 
       beforeEach(function() {
         server = utils.server({port}).start();
-        client = live.client({projectId: 'foo'});
-        client.uri = (paths, qs) => `${server.uri}/${path.join(paths)}.json?${querystring.stringify(qs)}`;
+        client = live.client({databaseURL: server.uri});
       });
 
       afterEach(function() {
@@ -188,6 +233,21 @@ describe('live', function() {
         });
       });
 
+      it('should handle custom headers and full response', function() {
+        const paths = 'foo/bar';
+        const headers = {'X-Firebase-ETag': 'true'};
+
+        server.returns = () => [200, {baz: true}];
+
+        return client.req({paths, headers, fullResponse: true}).then(resp => {
+          const [{headers: reqHeaders}] = server.calls;
+
+          expect(reqHeaders).to.have.property('x-firebase-etag', 'true');
+          expect(resp.statusCode).to.equal(200);
+          expect(resp.body).to.deep.equal({baz: true});
+        });
+      });
+
       it('should handle failure (1/2)', function() {
         const paths = 'foo/bar';
 
@@ -214,6 +274,18 @@ describe('live', function() {
         );
       });
 
+      it('should time out', function() {
+        const paths = 'foo/bar';
+
+        client = live.client({databaseURL: server.uri, timeout: 50});
+        server.returns = () => [0];
+
+        return client.req({paths}).then(
+          () => Promise.reject(new Error('unexpected')),
+          e => expect(e.message).to.match(/TIMEDOUT/)
+        );
+      });
+
     });
 
     describe('aliases', function() {
@@ -330,6 +402,24 @@ describe('live', function() {
           });
         });
 
+        it('can send a query', function() {
+          const paths = 'foo/bar';
+          const query = {orderByChild: 'baz', limitToLast: 2};
+
+          return client.get({paths, query}).then(r => {
+            expect(r).to.equal(result);
+            expect(client.req).to.have.been.calledOnce();
+            expect(client.req).to.have.been.calledWith({
+              paths,
+              query,
+              method: 'GET',
+              auth: null,
+              silent: false,
+              shallow: false
+            });
+          });
+        });
+
         it('cannot send a silent and shallow request', function() {
           const paths = 'foo/bar';
           const silent = true;
@@ -564,6 +654,82 @@ describe('live', function() {
 
       });
 
+      describe('transaction', function() {
+        const paths = 'foo/bar';
+        const auth = 'xxxx';
+        let update;
+
+        beforeEach(function() {
+          update = sinon.spy(v => v + 1);
+          client.req.withArgs(sinon.match({method: 'GET'})).returns(Promise.resolve({
+            body: 1,
+            headers: {etag: 'some-etag'}
+          }));
+        });
+
+        it('should fetch the value and its etag and replace it', function() {
+          return client.transaction({paths, auth, update}).then(() => {
+            expect(update).to.have.been.calledOnce();
+            expect(update).to.have.been.calledWith(1);
+            expect(client.req).to.have.been.calledTwice();
+            expect(client.req).to.have.been.calledWith({
+              paths,
+              auth,
+              method: 'GET',
+              headers: {'X-Firebase-ETag': 'true'},
+              fullResponse: true
+            });
+            expect(client.req).to.have.been.calledWith({
+              paths,
+              auth,
+              method: 'PUT',
+              payload: 2,
+              silent: true,
+              headers: {'if-match': 'some-etag'}
+            });
+          });
+        });
+
+        it('should retry if the value changed', function() {
+          const conflict = Object.assign(new Error(), {statusCode: 412});
+
+          client.req.withArgs(sinon.match({method: 'PUT'})).onFirstCall().returns(Promise.reject(conflict));
+
+          return client.transaction({paths, auth, update}).then(() => {
+            expect(update).to.have.been.calledTwice();
+            expect(client.req).to.have.callCount(4);
+          });
+        });
+
+        it('should give up after the last retry', function() {
+          const conflict = Object.assign(new Error(), {statusCode: 412});
+
+          client.req.withArgs(sinon.match({method: 'PUT'})).returns(Promise.reject(conflict));
+
+          return client.transaction({paths, auth, update, retries: 1}).then(
+            () => Promise.reject(new Error('unexpected')),
+            e => {
+              expect(e).to.equal(conflict);
+              expect(update).to.have.been.calledTwice();
+            }
+          );
+        });
+
+        it('should abort if the update function returns undefined', function() {
+          return client.transaction({paths, auth, update: () => undefined}).then(() => {
+            expect(client.req).to.have.been.calledOnce();
+          });
+        });
+
+        it('should reject if no path is provided', function() {
+          return client.transaction({update}).then(
+            () => Promise.reject(new Error('unexpected')),
+            () => {}
+          );
+        });
+
+      });
+
       describe('remove', function() {
 
         it('should send a DELETE request', function() {
@@ -666,6 +832,10 @@ describe('live', function() {
       expect(driver.generator).to.equal(tokenGenerator);
     });
 
+    it('should not allow sequences to run concurrently', function() {
+      expect(live.create({secret: 'xxxx', projectId: 'foo'}).concurrent).to.be.false();
+    });
+
     it('should throw is no client and no projectId are not provided', function() {
       const secret = 'xxxx';
       const projectId = 'xxxx';
@@ -711,13 +881,15 @@ describe('live', function() {
           get: sinon.stub(),
           set: sinon.stub(),
           update: sinon.stub(),
-          push: sinon.stub()
+          push: sinon.stub(),
+          transaction: sinon.stub()
         };
         client.rules.returns(Promise.resolve());
         client.get.returns(Promise.resolve());
         client.set.returns(Promise.resolve());
         client.update.returns(Promise.resolve());
         client.push.returns(Promise.resolve());
+        client.transaction.returns(Promise.resolve());
 
         generator = {createToken: sinon.stub()};
         generator.createToken.returns('some-token');
@@ -778,8 +950,36 @@ describe('live', function() {
         });
       });
 
+      it('should send query parameters', function() {
+        const ctx = context.create({rules: {}, driver}).get('/foo', {orderByChild: 'bar', equalTo: 1, debug: true});
+
+        return driver.exec(ctx).then(() => {
+          expect(client.get).to.have.been.calledOnce();
+          expect(client.get).to.have.been.calledWith({
+            auth: null,
+            paths: 'foo',
+            silent: true,
+            query: {orderByChild: 'bar', equalTo: 1}
+          });
+        });
+      });
+
+      it('should run transactions', function() {
+        const update = v => v + 1;
+        const ctx = context.create({rules: {}, driver}).transaction('/foo', update);
+
+        return driver.exec(ctx).then(() => {
+          expect(client.transaction).to.have.been.calledOnce();
+          expect(client.transaction).to.have.been.calledWith({
+            auth: null,
+            paths: 'foo',
+            update
+          });
+        });
+      });
+
       it('should authenticate request', function() {
-        generator.createToken.withArgs({uid: 'bob'}).returns('bob-token');
+        generator.createToken.withArgs(auth.create('bob')).returns('bob-token');
 
         const rules = {
           rules: {
@@ -793,6 +993,7 @@ describe('live', function() {
 
         return driver.exec(ctx).then(() => {
           expect(generator.createToken).to.have.calledTwice();
+          expect(generator.createToken).to.have.been.calledWith(auth.create('bob'), {debug: true});
 
           expect(client.get).to.have.been.calledOnce();
           expect(client.get).to.have.been.calledWith({
@@ -841,6 +1042,117 @@ describe('live', function() {
         });
       });
 
+      it('should read the resulting data as admin if needed', function() {
+        generator.createToken.withArgs({uid: 'DB Admin'}).returns('admin-token');
+        client.get.returns(Promise.resolve({foo: 1}));
+
+        const rules = {};
+        const ctx = context.create({rules, driver})
+          .set('/foo', 1)
+          .expectData('/foo', 1);
+
+        return driver.exec(ctx).then(result => {
+          expect(result).to.deep.equal({foo: 1});
+          expect(client.get).to.have.been.calledOnce();
+          expect(client.get).to.have.been.calledAfter(client.set);
+          expect(client.get).to.have.been.calledWith({
+            auth: 'admin-token',
+            paths: ''
+          });
+        });
+      });
+
+      it('should carry on after expected denials', function() {
+        const denial = Object.assign(new Error('Permission denied'), {statusCode: 401});
+        const rules = {};
+        const ctx = context.create({rules, driver})
+          .get('/foo').denied()
+          .set('/bar', 1).allowed();
+
+        client.get.returns(Promise.reject(denial));
+
+        return driver.exec(ctx).then(() => {
+          expect(client.get).to.have.been.calledOnce();
+          expect(client.set).to.have.been.calledTwice();
+          expect(client.set).to.have.been.calledAfter(client.get);
+        });
+      });
+
+      it('should reject if an operation outcome is unexpected', function() {
+        const denial = Object.assign(new Error('Permission denied'), {statusCode: 401});
+        const rules = {};
+        const ctx = context.create({rules, driver});
+
+        client.get.returns(Promise.reject(denial));
+
+        return Promise.all([
+          driver.exec(ctx.get('/foo')).then(
+            () => Promise.reject(new Error('unexpected')),
+            e => {
+              expect(e).to.be.an.instanceof(errors.OperationError);
+              expect(e.index).to.equal(0);
+              expect(e.allowed).to.be.false();
+              expect(e.original).to.equal(denial);
+            }
+          ),
+          driver.exec(ctx.set('/foo', 1).denied()).then(
+            () => Promise.reject(new Error('unexpected')),
+            e => {
+              expect(e).to.be.an.instanceof(errors.OperationError);
+              expect(e.allowed).to.be.true();
+              expect(e.message).to.contain('Operation #1 (set "/foo" as guest)');
+            }
+          )
+        ]);
+      });
+
+      it('should report the rules evaluation of denials', function() {
+        const denial = Object.assign(new Error('Permission denied'), {
+          statusCode: 401,
+          response: {headers: {'x-firebase-auth-debug': 'Attempt to read /foo with auth={"uid":"bob"}'}}
+        });
+        const ctx = context.create({rules: {}, driver}).as('bob').get('/foo');
+
+        client.get.returns(Promise.reject(denial));
+
+        return driver.exec(ctx).then(
+          () => Promise.reject(new Error('unexpected')),
+          e => {
+            expect(e).to.be.an.instanceof(errors.OperationError);
+            expect([e.type, e.path]).to.deep.equal(['get', 'foo']);
+            expect(e.trace).to.equal('Attempt to read /foo with auth={"uid":"bob"}');
+            expect(e.message).to.contain('Rules evaluation:\n    Attempt to read /foo');
+          }
+        );
+      });
+
+      it('should not handle other errors as denials', function() {
+        const err = new Error('timeout');
+        const ctx = context.create({rules: {}, driver}).get('/foo').denied();
+
+        client.get.returns(Promise.reject(err));
+
+        return driver.exec(ctx).then(
+          () => Promise.reject(new Error('unexpected')),
+          e => expect(e).to.equal(err)
+        );
+      });
+
+      it('should skip sequences requiring a fixed time', function() {
+        const ctx = context.create({rules: {}, driver});
+
+        return Promise.all([ctx.atTime(1000).get('foo'), ctx.get('foo').advanceTime(10)].map(
+          c => driver.exec(c).then(
+            () => Promise.reject(new Error('unexpected')),
+            e => {
+              expect(e).to.be.an.instanceof(errors.SkipError);
+              expect(e.message).to.contain('fixed time');
+              expect(client.get).to.not.have.been.called();
+            }
+          )
+        ));
+      });
+
       it('should reject on unknown operation type', function() {
         const rules = {};
         const seed = null;
@@ -877,6 +1189,22 @@ describe('live', function() {
         );
       });
 
+      it('should deploy the rules to each namespace of a database', function() {
+        const rules = {};
+        const other = Object.assign({}, client, {rules: sinon.stub().returns(Promise.resolve())});
+        const otherDriver = live.create({secret, client: other, tokenGenerator: generator});
+
+        Object.assign(client, {projectId: 'foo', databaseURL: 'http://localhost:9000', ns: 'foo'});
+        Object.assign(other, {projectId: 'foo', databaseURL: 'http://localhost:9000', ns: 'bar'});
+
+        return driver.exec(context.create({rules, driver}))
+          .then(() => otherDriver.exec(context.create({rules, driver: otherDriver})))
+          .then(() => {
+            expect(client.rules).to.have.been.calledOnce();
+            expect(other.rules).to.have.been.calledOnce();
+          });
+      });
+
     });
 
   });
@@ -1,7 +1,10 @@
 'use strict';
 
 const simulated = require('../../src/drivers/simulated');
+const bolt = require('../../src/bolt');
 const context = require('../../src/context');
+const coverage = require('../../src/coverage');
+const errors = require('../../src/errors');
 const targaryen = require('targaryen');
 
 describe('targaryen', function() {
@@ -28,6 +31,10 @@ describe('targaryen', function() {
       expect(driver).respondTo('exec');
     });
 
+    it('should not claim to run sequences concurrently', function() {
+      expect(simulated.create().concurrent).to.be.false();
+    });
+
     describe('#init', function() {
 
       it('should parse the rules', function() {
@@ -38,6 +45,22 @@ describe('targaryen', function() {
         expect(targaryen.ruleset).to.have.been.calledWith(rules);
       });
 
+      it('should compile a rules object once', function() {
+        const rules = {rules: {'.read': false}};
+        const driver = simulated.create();
+        const first = {rules};
+        const second = {rules};
+
+        driver.init(first);
+        driver.init(second);
+        driver.init({rules: {rules: {'.read': false}}});
+
+        const [key] = Object.getOwnPropertySymbols(first);
+
+        expect(targaryen.ruleset).to.have.been.calledTwice();
+        expect(second[key]).to.equal(first[key]);
+      });
+
       it('should throw if the rules are invalid', function() {
         expect(() => simulated.create().init({rules: {}})).to.throw();
       });
@@ -80,6 +103,24 @@ describe('targaryen', function() {
         expect(() => driver.exec(ctx1b)).to.not.throw();
       });
 
+      it('should run operations using auth token', function() {
+        const driver = simulated.create();
+        const rules = {
+          rules: {
+            '.read': 'auth.token.email_verified == true && auth.token.firebase.sign_in_provider == "google.com"',
+            '.write': 'auth.provider == "anonymous"'
+          }
+        };
+        const ctx = context.create({rules, driver});
+        const google = {uid: 'bob', email: 'bob@example.com'};
+
+        expect(() => driver.exec(ctx.asProvider('google.com', google).get('/'))).to.throw();
+        expect(() => driver.exec(ctx.asProvider('password', Object.assign({emailVerified: true}, google)).get('/'))).to.throw();
+        expect(() => driver.exec(ctx.asProvider('google.com', Object.assign({emailVerified: true}, google)).get('/'))).to.not.throw();
+        expect(() => driver.exec(ctx.as('bob').set('/', 1))).to.throw();
+        expect(() => driver.exec(ctx.asAnonymous().set('/', 1))).to.not.throw();
+      });
+
       it('should push element', function() {
         const driver = simulated.create();
         const rules = {
@@ -123,6 +164,234 @@ describe('targaryen', function() {
         expect(driver.exec(ctx1b)).to.deep.equal({bar: true, baz: true});
       });
 
+      it('should run queries', function() {
+        const driver = simulated.create();
+        const rules = {
+          rules: {
+            messages: {
+              '.read': 'query.orderByChild == "sentAt" && query.limitToLast <= 10',
+              '.indexOn': 'sentAt'
+            }
+          }
+        };
+        const ctx = context.create({rules, driver});
+
+        expect(() => driver.exec(ctx.get('messages'))).to.throw();
+        expect(() => driver.exec(ctx.get('messages', {orderByChild: 'sentAt', limitToLast: 20}))).to.throw();
+        expect(() => driver.exec(ctx.get('messages', {orderByChild: 'sentAt', limitToLast: 10}))).to.not.throw();
+      });
+
+      it('should throw on unindexed queries', function() {
+        const driver = simulated.create();
+        const rules = {rules: {messages: {'.read': true}}};
+        const ctx = context.create({rules, driver}).get('messages', {orderByChild: 'sentAt'});
+
+        expect(() => driver.exec(ctx)).to.throw(/Index not defined/);
+      });
+
+      it('should resolve server timestamps', function() {
+        const driver = simulated.create();
+        const rules = {
+          rules: {
+            $key: {
+              '.write': true,
+              '.validate': 'newData.val() == now'
+            }
+          }
+        };
+        const ctx = context.create({rules, driver});
+        const ts = {'.sv': 'timestamp'};
+
+        expect(driver.exec(ctx.set('foo', ts)).foo).to.be.a('number');
+        expect(driver.exec(ctx.update('/', {foo: ts, bar: ts})).bar).to.be.a('number');
+        expect(() => driver.exec(ctx.push('/', ts))).to.not.throw();
+        expect(() => driver.exec(ctx.set('foo', 1))).to.throw();
+      });
+
+      it('should resolve increments', function() {
+        const driver = simulated.create();
+        const rules = {
+          rules: {
+            count: {
+              '.read': true,
+              '.write': true,
+              '.validate': 'newData.val() == data.val() + 1'
+            }
+          }
+        };
+        const ctx = context.create({rules, driver}).startWith({count: 1});
+        const incr = {'.sv': {increment: 1}};
+
+        expect(driver.exec(ctx.set('count', incr))).to.deep.equal({count: 2});
+        expect(driver.exec(ctx.update('/', {count: incr}))).to.deep.equal({count: 2});
+        expect(driver.exec(ctx.transaction('count', () => incr))).to.deep.equal({count: 2});
+        expect(() => driver.exec(ctx.set('count', {'.sv': {increment: 2}}))).to.throw();
+      });
+
+      it('should resolve seed server values', function() {
+        const driver = simulated.create();
+        const rules = {rules: {}};
+        const ctx = context.create({rules, driver}).startWith({
+          count: {'.sv': {increment: 2}},
+          createdAt: {'.sv': 'timestamp'}
+        });
+        const result = driver.exec(ctx);
+
+        expect(result.count).to.equal(2);
+        expect(result.createdAt).to.be.a('number');
+      });
+
+      it('should evaluate rules at the context time', function() {
+        const driver = simulated.create();
+        const rules = {
+          rules: {
+            invite: {
+              '.read': 'data.child("expiresAt").val() > now',
+              '.write': true,
+              createdAt: {'.validate': 'newData.val() == now'}
+            }
+          }
+        };
+        const ctx = context.create({rules, driver}).atTime(1000);
+
+        expect(driver.exec(ctx.set('invite/createdAt', {'.sv': 'timestamp'}))).to.deep.equal({
+          invite: {createdAt: 1000}
+        });
+        expect(() => driver.exec(ctx.set('invite/createdAt', 1000))).to.not.throw();
+        expect(() => driver.exec(ctx.set('invite/createdAt', 999))).to.throw();
+        expect(driver.exec(ctx.startWith({createdAt: {'.sv': 'timestamp'}}))).to.deep.equal({createdAt: 1000});
+      });
+
+      it('should advance the time', function() {
+        const driver = simulated.create();
+        const rules = {
+          rules: {
+            invite: {
+              '.read': 'data.child("expiresAt").val() > now',
+              '.write': true
+            }
+          }
+        };
+        const ctx = context.create({rules, driver})
+          .atTime(1000)
+          .set('invite/expiresAt', 2000)
+          .get('invite')
+          .advanceTime(1000)
+          .get('invite').denied()
+          .advanceTime(-1)
+          .get('invite');
+
+        expect(() => driver.exec(ctx)).to.not.throw();
+      });
+
+      it('should throw if the time moves back to the epoch', function() {
+        const driver = simulated.create();
+        const rules = {rules: {'.read': 'now > 0'}};
+        const ctx = context.create({rules, driver}).atTime(1000).advanceTime(-1000).get('/');
+
+        expect(() => driver.exec(ctx)).to.throw(/Invalid operation time: 0/);
+      });
+
+      it('should run transactions', function() {
+        const driver = simulated.create();
+        const rules = {
+          rules: {
+            count: {
+              '.read': 'auth != null',
+              '.write': 'auth.uid == "alice"',
+              '.validate': 'newData.val() == data.val() + 1'
+            }
+          }
+        };
+        const ctx = context.create({rules, driver}).startWith({count: 1});
+        const incr = sinon.spy(v => v + 1);
+
+        expect(driver.exec(ctx.as('alice').transaction('count', incr))).to.deep.equal({count: 2});
+        expect(incr).to.have.been.calledWith(1);
+        expect(() => driver.exec(ctx.as('alice').transaction('count', v => v + 2))).to.throw();
+        expect(() => driver.exec(ctx.as('bob').transaction('count', incr))).to.throw();
+        expect(() => driver.exec(ctx.transaction('count', incr))).to.throw();
+        expect(incr).to.have.been.calledTwice();
+      });
+
+      it('should only test read access of aborted transactions', function() {
+        const driver = simulated.create();
+        const rules = {rules: {count: {'.read': true}}};
+        const ctx = context.create({rules, driver}).startWith({count: 1});
+
+        expect(driver.exec(ctx.transaction('count', () => undefined))).to.deep.equal({count: 1});
+      });
+
+      it('should carry on after expected denials', function() {
+        const driver = simulated.create();
+        const rules = {
+          rules: {
+            '.read': false,
+            foo: {'.write': false},
+            bar: {'.write': true}
+          }
+        };
+        const ctx = context.create({rules, driver})
+          .set('foo', 1).denied()
+          .get('bar').denied()
+          .set('bar', 2).allowed();
+
+        expect(driver.exec(ctx)).to.deep.equal({bar: 2});
+      });
+
+      it('should throw if an operation outcome is unexpected', function() {
+        const driver = simulated.create();
+        const rules = {
+          rules: {
+            foo: {'.write': false},
+            bar: {'.write': true}
+          }
+        };
+        const ctx = context.create({rules, driver}).as('bob');
+
+        expect(() => driver.exec(ctx.set('bar', 1).set('bar', 2).denied())).to.throw(
+          errors.OperationError,
+          'Operation #2 (set "/bar" as "bob") was allowed but it was expected to be denied.'
+        );
+        expect(() => driver.exec(ctx.set('foo', 1).allowed())).to.throw(
+          errors.OperationError,
+          'Operation #1 (set "/foo" as "bob") was denied but it was expected to be allowed.'
+        );
+        expect(() => driver.exec(ctx.set('foo', 1))).to.throw(errors.OperationError);
+      });
+
+      it('should report the failing operation and the rules evaluation', function() {
+        const driver = simulated.create();
+        const rules = {rules: {foo: {'.write': 'auth.admin == true'}}};
+        const ctx = context.create({rules, driver}).as('bob').set('foo', {bar: 1});
+        let error;
+
+        try {
+          driver.exec(ctx);
+        } catch (e) {
+          error = e;
+        }
+
+        expect(error).to.be.an.instanceof(errors.OperationError);
+        expect([error.index, error.type, error.path, error.allowed, error.expected]).to.deep.equal([0, 'set', 'foo', false, 'allowed']);
+        expect(error.auth).to.deep.equal(ctx.ops[0].auth);
+        expect(error.value).to.deep.equal({bar: 1});
+        expect(error.trace).to.contain('/foo: write "auth.admin == true"  => false');
+        expect(error.message).to.contain('  Value: {"bar":1}');
+        expect(error.message).to.contain('  Rules evaluation:\n    Attempt to write foo as');
+      });
+
+      it('should report the Bolt declarations of the failing operation rules', function() {
+        const driver = simulated.create();
+        const rules = bolt.compile('path /foo is Foo {\n  write() { auth.admin == true }\n}\n\ntype Foo {\n  bar: Number\n}\n');
+        const ctx = context.create({rules, driver}).as('bob').set('foo', {bar: 1});
+
+        expect(() => driver.exec(ctx)).to.throw(
+          errors.OperationError,
+          '  Bolt source:\n    rules.bolt:1: path /foo is Foo\n    rules.bolt:5: type Foo'
+        );
+      });
+
       it('should throw when handling unknown operation type', function() {
         const driver = simulated.create();
         const rules = {rules: {}};
@@ -150,6 +419,30 @@ describe('targaryen', function() {
         expect(driver.exec(ctx)).to.deep.equal(seed);
       });
 
+      it('should allow to assert the resulting data', function() {
+        const driver = simulated.create();
+        const rules = {
+          rules: {
+            $key: {
+              '.write': true,
+              '.validate': 'newData.isNumber()'
+            }
+          }
+        };
+        const ctx = context.create({rules, driver})
+          .startWith({foo: 1})
+          .update('/', {bar: 2, baz: 3});
+
+        return Promise.all([
+          ctx.expectData('/', {foo: 1, bar: 2, baz: 3}).ok(),
+          ctx.expectData('bar', v => v === 2).ok(),
+          ctx.expectData('/', {bar: 2, baz: 3}).then(
+            () => Promise.reject(new Error('unexpected')),
+            e => expect(e.diff).to.deep.equal([{path: 'foo', expected: null, actual: 1}])
+          )
+        ]);
+      });
+
       it('should log detail info', function() {
         const log = sinon.spy();
         const driver = simulated.create({log});
@@ -162,6 +455,58 @@ describe('targaryen', function() {
         expect(log).to.have.been.calledWith(sinon.match(/write was allowed\./i));
       });
 
+      describe('with coverage enabled', function() {
+
+        beforeEach(function() {
+          coverage.start();
+        });
+
+        afterEach(function() {
+          coverage.stop();
+          coverage.reset();
+        });
+
+        it('should record rules evaluations', function() {
+          const driver = simulated.create();
+          const rules = {
+            rules: {
+              items: {
+                '.indexOn': ['rank'],
+                $id: {
+                  '.read': true,
+                  '.write': 'auth != null',
+                  '.validate': 'newData.isNumber()'
+                }
+              }
+            }
+          };
+          const ctx = context.create({rules, driver}).as('bob');
+
+          driver.exec(ctx.set('items/foo', 1).get('items/foo').transaction('items/bar', () => 2));
+          expect(() => driver.exec(ctx.asGuest().set('items/foo', 1))).to.throw();
+
+          const entries = coverage.track(rules).report().rules;
+
+          expect(entries.map(e => [e.kind, e.hits, e.true, e.false])).to.deep.equal([
+            ['.indexOn', 0, 0, 0],
+            ['.read', 2, 2, 0],
+            ['.write', 3, 2, 1],
+            ['.validate', 3, 3, 0]
+          ]);
+        });
+
+        it('should record index usage', function() {
+          const driver = simulated.create();
+          const rules = {rules: {'.read': true, '.indexOn': ['rank']}};
+          const ctx = context.create({rules, driver});
+
+          driver.exec(ctx.get('', {orderByChild: 'rank'}));
+
+          expect(coverage.track(rules).report().rules[1]).to.include({kind: '.indexOn', hits: 1});
+        });
+
+      });
+
     });
 
   });
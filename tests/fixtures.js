@@ -0,0 +1,174 @@
+'use strict';
+
+const fixtures = require('../src/fixtures');
+const fs = require('fs');
+const path = require('path');
+
+describe('fixtures', function() {
+  const dir = path.join(__dirname, 'utils/fixtures');
+  const base = path.join(dir, 'base.json');
+  const chat = path.join(dir, 'chat.json');
+  const invalid = path.join(dir, 'invalid.json');
+
+  beforeEach(function() {
+    fixtures.reset();
+  });
+
+  describe('load', function() {
+
+    it('should load a fixture file with comments', function() {
+      expect(fixtures.load(base)).to.deep.equal({
+        rooms: {general: {name: 'General', type: 'public'}},
+        moderators: {alice: true}
+      });
+    });
+
+    it('should resolve path relatively to the current directory', function() {
+      expect(fixtures.load(path.relative(process.cwd(), base))).to.deep.equal(fixtures.load(base));
+    });
+
+    it('should cache files by path and modification time', function() {
+      sinon.spy(fs, 'readFileSync');
+
+      try {
+        fixtures.load(base);
+        fixtures.load(base);
+        expect(fs.readFileSync).to.have.been.calledOnce();
+
+        fixtures.reset();
+        fixtures.load(base);
+        expect(fs.readFileSync).to.have.been.calledTwice();
+      } finally {
+        fs.readFileSync.restore();
+      }
+    });
+
+    it('should report parsing error location', function() {
+      expect(() => fixtures.load(invalid)).to.throw(/invalid\.json" \(line 3, column 5\)/);
+    });
+
+    it('should throw if the file is missing', function() {
+      expect(() => fixtures.load(path.join(dir, 'missing.json'))).to.throw();
+    });
+
+  });
+
+  describe('merge', function() {
+
+    it('should deep merge objects', function() {
+      const target = {foo: {bar: 1, baz: 2}, qux: 3};
+      const source = {foo: {baz: 4}, quux: 5};
+
+      expect(fixtures.merge(target, source)).to.deep.equal({
+        foo: {bar: 1, baz: 4},
+        qux: 3,
+        quux: 5
+      });
+      expect(target).to.deep.equal({foo: {bar: 1, baz: 2}, qux: 3});
+    });
+
+    it('should replace other values', function() {
+      expect(fixtures.merge({foo: 1}, 2)).to.equal(2);
+      expect(fixtures.merge({foo: 1}, {foo: null})).to.deep.equal({foo: null});
+      expect(fixtures.merge({foo: [1, 2]}, {foo: [3]})).to.deep.equal({foo: [3]});
+      expect(fixtures.merge(1, {foo: 1})).to.deep.equal({foo: 1});
+    });
+
+  });
+
+  describe('mount', function() {
+
+    it('should nest a value', function() {
+      expect(fixtures.mount(1, '/foo/bar')).to.deep.equal({foo: {bar: 1}});
+      expect(fixtures.mount(1, ['foo', 'bar'])).to.deep.equal({foo: {bar: 1}});
+      expect(fixtures.mount(1, '/')).to.equal(1);
+    });
+
+  });
+
+  describe('get', function() {
+
+    it('should return a location value', function() {
+      const tree = {foo: {bar: 1}};
+
+      expect(fixtures.get(tree, '/')).to.equal(tree);
+      expect(fixtures.get(tree, 'foo/bar')).to.equal(1);
+      expect(fixtures.get(tree, 'foo/bar/baz')).to.be.undefined();
+      expect(fixtures.get(null, 'foo')).to.be.undefined();
+    });
+
+  });
+
+  describe('set', function() {
+
+    it('should return a copy with the location replaced', function() {
+      const tree = {foo: {bar: 1, baz: 2}, qux: {}};
+      const result = fixtures.set(tree, 'foo/bar', {quux: 3});
+
+      expect(result).to.deep.equal({foo: {bar: {quux: 3}, baz: 2}, qux: {}});
+      expect(result.qux).to.equal(tree.qux);
+      expect(tree).to.deep.equal({foo: {bar: 1, baz: 2}, qux: {}});
+    });
+
+    it('should create missing locations', function() {
+      expect(fixtures.set(null, ['foo', 'bar'], 1)).to.deep.equal({foo: {bar: 1}});
+      expect(fixtures.set({foo: 1}, 'foo/bar', 1)).to.deep.equal({foo: {bar: 1}});
+      expect(fixtures.set({foo: 1}, '', 2)).to.equal(2);
+    });
+
+  });
+
+  describe('patch', function() {
+
+    it('should return a copy with the patch merged at the location', function() {
+      const tree = {foo: {bar: {baz: 1, qux: 2}}};
+
+      expect(fixtures.patch(tree, 'foo/bar', {qux: 3, quux: 4})).to.deep.equal({
+        foo: {bar: {baz: 1, qux: 3, quux: 4}}
+      });
+      expect(tree).to.deep.equal({foo: {bar: {baz: 1, qux: 2}}});
+    });
+
+  });
+
+  describe('seed', function() {
+
+    it('should return the seed unchanged', function() {
+      const seed = {foo: 1};
+
+      expect(fixtures.seed(seed)).to.equal(seed);
+      expect(fixtures.seed(null)).to.be.null();
+      expect(fixtures.seed([1, 2])).to.deep.equal([1, 2]);
+    });
+
+    it('should take strings not ending with .json for values', function() {
+      expect(fixtures.seed('hello')).to.equal('hello');
+      expect(fixtures.seed(['a', 'b'])).to.deep.equal(['a', 'b']);
+      expect(fixtures.seed('hello', {at: 'foo'})).to.deep.equal({foo: 'hello'});
+    });
+
+    it('should load a fixture file', function() {
+      const seed = fixtures.seed(base);
+
+      expect(seed).to.deep.equal(fixtures.load(base));
+      expect(seed).to.not.equal(fixtures.load(base));
+    });
+
+    it('should merge fixture files in order', function() {
+      expect(fixtures.seed([base, chat])).to.deep.equal({
+        rooms: {
+          general: {name: 'General', type: 'private'},
+          random: {name: 'Random', type: 'public'}
+        },
+        moderators: {alice: true}
+      });
+    });
+
+    it('should mount the seed', function() {
+      expect(fixtures.seed(chat, {at: 'foo'})).to.deep.equal({foo: fixtures.load(chat)});
+      expect(fixtures.seed({bar: 1}, {at: 'foo'})).to.deep.equal({foo: {bar: 1}});
+    });
+
+  });
+
+});
@@ -0,0 +1,250 @@
+'use strict';
+
+const context = require('../src/context');
+const fuzz = require('../src/fuzz');
+const simulated = require('../src/drivers/simulated');
+
+describe('fuzz', function() {
+
+  describe('random', function() {
+
+    it('should be reproducible', function() {
+      const draw = random => Array.from({length: 5}, () => random());
+
+      expect(draw(fuzz.random(42))).to.deep.equal(draw(fuzz.random(42)));
+      expect(draw(fuzz.random(42))).to.not.deep.equal(draw(fuzz.random(43)));
+    });
+
+    it('should return numbers in [0, 1)', function() {
+      const random = fuzz.random(1);
+
+      for (let i = 0; i < 100; i++) {
+        expect(random()).to.be.within(0, 0.9999999999);
+      }
+    });
+
+  });
+
+  describe('seed', function() {
+
+    it('should use FIREBASE_TEST_FUZZ_SEED', function() {
+      expect(fuzz.seed({FIREBASE_TEST_FUZZ_SEED: '1234'})).to.equal(1234);
+    });
+
+    it('should default to a random seed', function() {
+      expect(fuzz.seed({})).to.be.a('number');
+      expect(fuzz.seed({FIREBASE_TEST_FUZZ_SEED: 'foo'})).to.be.a('number');
+    });
+
+  });
+
+  describe('generators', function() {
+    const random = fuzz.random(7);
+    const sample = generator => Array.from({length: 50}, () => generator(random));
+
+    it('should generate integers in range', function() {
+      sample(fuzz.integer(-2, 2)).forEach(n => {
+        expect(Number.isInteger(n)).to.be.true();
+        expect(n).to.be.within(-2, 2);
+      });
+    });
+
+    it('should generate strings', function() {
+      sample(fuzz.string({minLength: 1, maxLength: 3, chars: 'ab'})).forEach(s => {
+        expect(s).to.match(/^[ab]{1,3}$/);
+      });
+    });
+
+    it('should generate objects', function() {
+      sample(fuzz.object({a: fuzz.constant(1), b: fuzz.boolean()}, {optional: 0})).forEach(o => {
+        expect(o).to.have.all.keys('a', 'b');
+        expect(o.a).to.equal(1);
+      });
+    });
+
+    it('should generate valid database values', function() {
+      const isValid = value => {
+        if (value == null || typeof value !== 'object') {
+          return ['string', 'number', 'boolean'].indexOf(typeof value) > -1;
+        }
+
+        return Object.keys(value).every(key => /^[a-j]+$/.test(key) && isValid(value[key]));
+      };
+
+      sample(fuzz.any()).forEach(value => expect(isValid(value)).to.be.true());
+    });
+
+  });
+
+  describe('shrinks', function() {
+
+    it('should list smaller primitives', function() {
+      expect(fuzz.shrinks(10)).to.deep.equal([0, 5, 9]);
+      expect(fuzz.shrinks(-2.5)).to.deep.equal([0, -2, -1]);
+      expect(fuzz.shrinks('abcd')).to.deep.equal(['', 'ab', 'bcd', 'abc']);
+      expect(fuzz.shrinks(true)).to.deep.equal([false]);
+      expect(fuzz.shrinks(0)).to.deep.equal([]);
+    });
+
+    it('should list smaller objects', function() {
+      expect(fuzz.shrinks({a: 2, b: false})).to.deep.equal([{b: false}, {a: 2}, {a: 0, b: false}, {a: 1, b: false}]);
+    });
+
+  });
+
+  describe('run', function() {
+    const rules = {
+      rules: {
+        users: {
+          $uid: {
+            '.write': 'auth.uid == $uid',
+            age: {'.validate': 'newData.isNumber() && newData.val() >= 0'}
+          }
+        }
+      }
+    };
+    let ctx;
+
+    beforeEach(function() {
+      ctx = context.create({rules, driver: simulated.create()}).as('bob');
+    });
+
+    it('should report the outcomes', function() {
+      const report = fuzz.run(ctx, 'users/bob/age', {generator: fuzz.integer(-10, 10), runs: 20, seed: 1});
+
+      expect(report).to.include({seed: 1, runs: 20});
+      expect(report.accepted + report.rejected).to.equal(20);
+      expect(report.rejected).to.be.above(0);
+    });
+
+    it('should pass when the rules agree with the predicate', function() {
+      expect(() => fuzz.run(ctx, 'users/bob/age', {
+        generator: fuzz.oneOf(fuzz.integer(), fuzz.string()),
+        valid: age => typeof age === 'number' && age >= 0,
+        seed: 1
+      })).to.not.throw();
+    });
+
+    it('should report and shrink rejected valid payloads', function() {
+      let error;
+
+      try {
+        fuzz.run(ctx, 'users/bob/age', {generator: fuzz.integer(-1000, -500), valid: () => true, seed: 3});
+      } catch (e) {
+        error = e;
+      }
+
+      expect(error).to.be.an.instanceOf(fuzz.FuzzError);
+      expect(error).to.have.property('kind', 'rejected');
+      expect(error).to.have.property('seed', 3);
+      expect(error).to.have.property('run', 1);
+      expect(error).to.have.property('payload', -1);
+      expect(error.original).to.be.below(-499);
+      expect(error.message).to.match(/Payload -1 was rejected/);
+      expect(error.message).to.match(/FIREBASE_TEST_FUZZ_SEED=3/);
+    });
+
+    it('should report and shrink accepted invalid payloads', function() {
+      let error;
+
+      try {
+        fuzz.run(ctx, 'users/bob', {
+          generator: fuzz.object({age: fuzz.integer(1, 100), name: fuzz.string({minLength: 1})}, {optional: 0}),
+          valid: user => user.name == null || user.name.length < 4,
+          seed: 5
+        });
+      } catch (e) {
+        error = e;
+      }
+
+      expect(error).to.be.an.instanceOf(fuzz.FuzzError);
+      expect(error).to.have.property('kind', 'accepted');
+      expect(error).to.have.property('path', 'users/bob');
+      expect(error.payload).to.have.all.keys('name');
+      expect(error.payload.name).to.have.length(4);
+    });
+
+    it('should check invariants of accepted payloads', function() {
+      let error;
+
+      try {
+        fuzz.run(ctx, 'users/bob/age', {
+          generator: fuzz.integer(0, 100),
+          invariant: age => {
+            if (age > 9) {
+              throw new Error('too old');
+            }
+          },
+          seed: 1
+        });
+      } catch (e) {
+        error = e;
+      }
+
+      expect(error).to.be.an.instanceOf(fuzz.FuzzError);
+      expect(error).to.have.property('kind', 'invariant');
+      expect(error).to.have.property('payload', 10);
+      expect(error.message).to.match(/breaks an invariant \(too old\)/);
+    });
+
+    it('should be reproducible', function() {
+      const opts = {generator: fuzz.any(), valid: () => true, seed: 9};
+      const failure = () => {
+        try {
+          fuzz.run(ctx, 'users/bob/age', opts);
+        } catch (e) {
+          return [e.run, e.original, e.payload];
+        }
+
+        return null;
+      };
+
+      expect(failure()).to.deep.equal(failure());
+    });
+
+    it('should fuzz updates with patches', function() {
+      const report = fuzz.run(ctx, 'users/bob', {op: 'update', runs: 20, seed: 1});
+
+      expect(report.accepted + report.rejected).to.equal(20);
+      expect(report.skipped).to.equal(0);
+    });
+
+    it('should skip empty patches', function() {
+      const generator = fuzz.object({age: fuzz.integer(0, 100)}, {optional: 0.5});
+      const report = fuzz.run(ctx, 'users/bob', {op: 'update', generator, runs: 20, seed: 1, valid: () => true});
+
+      expect(report.skipped).to.be.above(0);
+      expect(report.accepted + report.skipped).to.equal(20);
+    });
+
+    it('should not shrink patches to empty ones', function() {
+      let error;
+
+      try {
+        fuzz.run(ctx, 'users/bob', {
+          op: 'update',
+          generator: fuzz.object({age: fuzz.integer(0, 100), name: fuzz.string()}, {optional: 0}),
+          valid: () => false,
+          seed: 1
+        });
+      } catch (e) {
+        error = e;
+      }
+
+      expect(error).to.be.an.instanceOf(fuzz.FuzzError);
+      expect(error).to.have.property('kind', 'accepted');
+      expect(Object.keys(error.payload)).to.have.length(1);
+    });
+
+    it('should reject non-object patches', function() {
+      expect(() => fuzz.run(ctx, 'users/bob', {op: 'update', generator: fuzz.integer(), seed: 1})).to.throw(/Invalid update payload/);
+      expect(() => fuzz.run(ctx, 'users/bob', {op: 'update', generator: fuzz.constant(null), seed: 1})).to.throw(/Invalid update payload/);
+    });
+
+    it('should throw on unknown operations', function() {
+      expect(() => fuzz.run(ctx, 'users/bob', {op: 'push'})).to.throw(/Unknown fuzzing operation/);
+    });
+
+  });
+
+});
@@ -12,8 +12,25 @@ global.expect = chai.expect;
 global.sinon = sinon;
 
 require('./main');
+require('./access');
+require('./auth');
+require('./bolt');
+require('./cli');
 require('./context');
+require('./coverage');
+require('./data');
 require('./env');
+require('./fixtures');
+require('./fuzz');
+require('./lint');
+require('./matrix');
+require('./mutation');
 require('./path');
 require('./promise');
+require('./query');
+require('./regression');
+require('./rules');
+require('./ruleset');
+require('./servervalue');
+require('./snapshot');
 require('./drivers');
@@ -0,0 +1,112 @@
+'use strict';
+
+const lint = require('../src/lint');
+
+describe('lint', function() {
+  const codes = warnings => warnings.map(w => [w.code, w.path]);
+
+  describe('check', function() {
+
+    it('should not warn about sound rules', function() {
+      const rules = {
+        rules: {
+          users: {
+            '.indexOn': ['name'],
+            '.read': 'auth != null',
+            $uid: {
+              '.write': 'auth.uid == $uid',
+              name: {'.validate': 'newData.isString()'},
+              $other: {'.validate': false}
+            }
+          }
+        }
+      };
+
+      expect(lint.check(rules)).to.deep.equal([]);
+    });
+
+    it('should warn about rules restricting access granted by a parent', function() {
+      const rules = {
+        rules: {
+          '.write': true,
+          foo: {'.write': 'auth != null', '.read': true, bar: {'.read': false}}
+        }
+      };
+      const warnings = lint.check(rules);
+
+      expect(codes(warnings)).to.deep.equal([['cascading-rule', '/foo/bar'], ['cascading-rule', '/foo']]);
+      expect(warnings[1].message).to.equal('".write" rule is ignored: "/" already grants write access to its descendants.');
+    });
+
+    it('should warn about unvalidated wildchildren of validated nodes', function() {
+      const rules = {rules: {foo: {bar: {'.validate': 'newData.isNumber()'}, $other: {}}}};
+
+      expect(codes(lint.check(rules))).to.deep.equal([['unvalidated-wildchild', '/foo/$other']]);
+    });
+
+    it('should warn about wildchildren siblings', function() {
+      const rules = {rules: {foo: {$a: {}, $b: {}}}};
+
+      expect(codes(lint.check(rules))).to.deep.equal([['wildchild-siblings', '/foo']]);
+    });
+
+    it('should warn about unused indexes', function() {
+      const rules = {
+        rules: {
+          foo: {'.indexOn': 'bar'},
+          baz: {'.read': true, '.indexOn': ['qux', 'qux']}
+        }
+      };
+
+      expect(codes(lint.check(rules))).to.deep.equal([['unused-index', '/foo'], ['unused-index', '/baz']]);
+    });
+
+    it('should warn about writes only checking authentication', function() {
+      const rules = {
+        rules: {
+          messages: {'.write': 'auth != null'},
+          users: {$uid: {'.write': 'auth != null && newData.exists()'}},
+          admins: {$uid: {'.write': 'auth != null && auth.token.admin == true'}}
+        }
+      };
+
+      expect(codes(lint.check(rules))).to.deep.equal([['auth-without-uid', '/users/$uid']]);
+    });
+
+    it('should ignore some warnings', function() {
+      const rules = {rules: {foo: {$a: {}, $b: {}}}};
+
+      expect(lint.check(rules, {ignore: ['wildchild-siblings']})).to.deep.equal([]);
+    });
+
+    it('should throw in strict mode', function() {
+      const rules = {rules: {foo: {$a: {}, $b: {}}}};
+
+      expect(() => lint.check(rules, {strict: true})).to.throw(
+        lint.LintError,
+        '1 rules lint warning(s):\n  /foo: Wildchildren $a, $b shadow each other'
+      );
+      expect(() => lint.check({rules: {}}, {strict: true})).to.not.throw();
+    });
+
+  });
+
+  describe('run', function() {
+
+    it('should return the warnings', function() {
+      const rules = {rules: {foo: {$a: {}, $b: {}}}};
+
+      expect(lint.run(rules)).to.have.length(1);
+      expect(lint.run(rules)).to.have.length(1);
+      expect(lint.run(rules, {ignore: ['wildchild-siblings']})).to.have.length(0);
+    });
+
+    it('should throw in strict mode', function() {
+      const rules = {rules: {foo: {$a: {}, $b: {}}}};
+
+      expect(() => lint.run(rules, {strict: true})).to.throw(lint.LintError);
+    });
+
+  });
+
+});
@@ -2,6 +2,9 @@
 
 const firebaseTest = require('../');
 const context = require('../src/context');
+const coverage = require('../src/coverage');
+const lint = require('../src/lint');
+const path = require('path');
 
 describe('main', function() {
   let rules;
@@ -35,6 +38,55 @@ describe('main', function() {
       expect(context.create).to.have.been.calledWith(sinon.match({rules}));
     });
 
+    it('should set the coverage up', function() {
+      sinon.stub(coverage, 'setup');
+
+      try {
+        firebaseTest.suite({rules});
+        expect(coverage.setup).to.have.been.calledOnce();
+      } finally {
+        coverage.setup.restore();
+      }
+    });
+
+    it('should register users', function() {
+      const users = {alice: {admin: true}};
+
+      firebaseTest.suite({rules, users, strictUsers: true});
+
+      expect(context.create).to.have.been.calledWith(sinon.match({users, strictUsers: true}));
+    });
+
+    it('should load the rules from a file', function() {
+      const dir = path.join(__dirname, 'utils/fixtures');
+
+      firebaseTest.suite({rules: path.join(dir, 'database.rules.json')});
+      firebaseTest.suite({config: path.join(dir, 'firebase.json')});
+      firebaseTest.suite({bolt: path.join(dir, 'rules.bolt')});
+
+      expect(context.create.firstCall.args[0].rules).to.have.deep.property('rules.orgs.$org');
+      expect(context.create.secondCall.args[0].rules).to.deep.equal(context.create.firstCall.args[0].rules);
+      expect(context.create.thirdCall.args[0].rules).to.have.deep.property('rules.orgs.$org.name');
+    });
+
+    it('should lint the rules', function() {
+      const invalid = {rules: {foo: {$a: {}, $b: {}}}};
+
+      sinon.spy(lint, 'run');
+
+      try {
+        firebaseTest.suite({rules: invalid, lint: true});
+        firebaseTest.suite({rules: invalid, lint: {ignore: ['unused-index']}});
+        expect(lint.run).to.have.been.calledWith(invalid, {});
+        expect(lint.run).to.have.been.calledWith(invalid, {ignore: ['unused-index']});
+      } finally {
+        lint.run.restore();
+      }
+
+      expect(() => firebaseTest.suite({rules: invalid, lint: {strict: true}})).to.throw(firebaseTest.LintError);
+      expect(firebaseTest.lint(invalid)).to.have.length(1);
+    });
+
     it('should throw if rules are not provided', function() {
       expect(() => firebaseTest.suite()).to.throw();
       expect(() => firebaseTest.suite({})).to.throw();
@@ -60,6 +112,23 @@ describe('main', function() {
 
   });
 
+  describe('SkipError', function() {
+
+    it('should be exposed', function() {
+      expect(new firebaseTest.SkipError('foo')).to.have.property('skipped', true);
+    });
+
+  });
+
+  describe('ServerValue', function() {
+
+    it('should expose server value placeholders', function() {
+      expect(firebaseTest.ServerValue.TIMESTAMP).to.deep.equal({'.sv': 'timestamp'});
+      expect(firebaseTest.ServerValue.increment(2)).to.deep.equal({'.sv': {increment: 2}});
+    });
+
+  });
+
   describe('loadDriver', function() {
 
     it('should the driver using envinment variabled', function() {
@@ -80,6 +149,32 @@ describe('main', function() {
       delete firebaseTest.drivers.foo;
     });
 
+    it('should load the emulator driver', function() {
+      const src = {
+        FIREBASE_TEST_DRIVER_ID: 'emulator',
+        FIREBASE_TEST_DRIVER_HOST: 'localhost:9001',
+        FIREBASE_TEST_DRIVER_NS_PREFIX: 'my-app'
+      };
+      const {create} = firebaseTest.drivers.emulator;
+
+      create.returns('emulator-driver');
+
+      expect(firebaseTest.loadDriver({src})).to.equal('emulator-driver');
+      expect(create).to.have.been.calledWith({id: 'emulator', host: 'localhost:9001', nsPrefix: 'my-app'});
+    });
+
+    it('should take the database URL', function() {
+      const src = {
+        FIREBASE_TEST_DRIVER_ID: 'live',
+        FIREBASE_TEST_DRIVER_DATABASE_URL: 'http://localhost:9000'
+      };
+      const {create} = firebaseTest.drivers.live;
+
+      firebaseTest.loadDriver({src});
+
+      expect(create).to.have.been.calledWith({id: 'live', databaseURL: 'http://localhost:9000'});
+    });
+
     it('should throw if the driver is unknown', function() {
       const src = {FIREBASE_TEST_DRIVER_ID: 'foo'};
 
@@ -0,0 +1,112 @@
+'use strict';
+
+const errors = require('../src/errors');
+const matrix = require('../src/matrix');
+
+describe('matrix', function() {
+
+  describe('outcome', function() {
+
+    it('should normalize expected outcomes', function() {
+      expect([true, 'allow', 'allowed'].map(matrix.outcome)).to.deep.equal(['allowed', 'allowed', 'allowed']);
+      expect([false, 'deny', 'denied'].map(matrix.outcome)).to.deep.equal(['denied', 'denied', 'denied']);
+    });
+
+    it('should throw on invalid outcomes', function() {
+      expect(() => matrix.outcome('maybe')).to.throw(/Invalid expected outcome/);
+    });
+
+  });
+
+  describe('apply', function() {
+
+    it('should add the operation', function() {
+      const ctx = {get: sinon.stub().returns(1), set: sinon.stub().returns(2)};
+
+      expect(matrix.apply(ctx, {op: 'get', path: 'foo', options: {orderByKey: true}})).to.equal(1);
+      expect(ctx.get).to.have.been.calledWith('foo', {orderByKey: true});
+
+      expect(matrix.apply(ctx, {op: 'set', path: 'foo', value: 3})).to.equal(2);
+      expect(ctx.set).to.have.been.calledWith('foo', 3);
+    });
+
+    it('should throw on unknown operation types', function() {
+      expect(() => matrix.apply({}, {op: 'delete', path: 'foo'})).to.throw(/Unknown operation type/);
+    });
+
+  });
+
+  describe('expand', function() {
+    const users = {alice: {admin: true}, guest: null};
+    const ops = {read: {op: 'get', path: 'foo'}, write: {op: 'set', path: 'foo', value: 1}};
+
+    it('should list every cell', function() {
+      const expected = {alice: {read: 'allow', write: true}, guest: {read: 'deny', write: false}};
+
+      expect(matrix.expand({users, ops, expect: expected})).to.deep.equal([
+        {user: 'alice', op: 'read', expected: 'allowed'},
+        {user: 'alice', op: 'write', expected: 'allowed'},
+        {user: 'guest', op: 'read', expected: 'denied'},
+        {user: 'guest', op: 'write', expected: 'denied'}
+      ]);
+    });
+
+    it('should throw if an expectation is missing', function() {
+      expect(() => matrix.expand({users, ops})).to.throw();
+      expect(() => matrix.expand({users, ops, expect: {alice: {read: true, write: true}}})).to.throw(/"guest"/);
+      expect(() => matrix.expand({users, ops, expect: {alice: {read: true}, guest: {}}})).to.throw(/"alice" and operation "write"/);
+    });
+
+    it('should throw if an operation descriptor is invalid', function() {
+      expect(() => matrix.expand({
+        users,
+        ops: {read: {op: 'read', path: 'foo'}},
+        expect: {alice: {read: true}, guest: {read: true}}
+      })).to.throw(/Invalid descriptor for operation "read"/);
+    });
+
+  });
+
+  describe('MatrixError', function() {
+    const cells = [
+      {user: 'alice', op: 'read', expected: 'allowed'},
+      {user: 'alice', op: 'write', expected: 'allowed'},
+      {user: 'guest', op: 'read', expected: 'denied'},
+      {user: 'guest', op: 'write', expected: 'denied'}
+    ];
+    const operation = {op: 'set', path: 'foo', auth: {uid: 'alice'}};
+
+    it('should report every failing cell as a grid', function() {
+      const failures = [
+        new matrix.CellError(cells[1], new errors.OperationError(0, operation, {allowed: false})),
+        new matrix.CellError(cells[3], new Error('timeout'))
+      ];
+      const err = new matrix.MatrixError(cells, failures);
+
+      expect(err.message).to.equal([
+        '2 of 4 permission matrix cells failed:',
+        '',
+        '      | read    | write',
+        '------+---------+--------------------------',
+        'alice | allowed | DENIED (expected allowed)',
+        'guest | denied  | ERROR (expected denied)',
+        '',
+        'Errors:',
+        '  guest × write: timeout'
+      ].join('\n'));
+      expect(err.failures).to.deep.equal(failures);
+      expect(err.mismatches).to.deep.equal([failures[0]]);
+      expect(err.mismatches[0].actual).to.equal('denied');
+    });
+
+    it('should not report skipped cells as failures', function() {
+      const failures = [new matrix.CellError(cells[0], new errors.SkipError('no clock'))];
+      const err = new matrix.MatrixError(cells, failures);
+
+      expect(err.failures).to.have.length(0);
+      expect(err.message).to.contain('alice | skipped');
+    });
+
+  });
+
+});
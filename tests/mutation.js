@@ -0,0 +1,150 @@
+'use strict';
+
+const mutation = require('../src/mutation');
+const path = require('path');
+const targaryen = require('targaryen');
+
+describe('mutation', function() {
+  const rules = {
+    rules: {
+      orgs: {
+        $org: {
+          '.write': 'auth.admin == true && auth.org == $org',
+          name: {'.validate': 'newData.isString()'}
+        }
+      }
+    }
+  };
+  const mutated = list => list.map(m => [m.path, m.kind, m.operator, m.mutated]);
+
+  describe('mutants', function() {
+
+    it('should list the mutants of each rule', function() {
+      const mutants = mutation.mutants(rules);
+
+      expect(mutants.map(m => m.id)).to.deep.equal([1, 2, 3, 4, 5, 6]);
+      expect(mutated(mutants)).to.deep.equal([
+        ['/orgs/$org', '.write', 'negate-equality', 'auth.admin != true && auth.org == $org'],
+        ['/orgs/$org', '.write', 'negate-equality', 'auth.admin == true && auth.org != $org'],
+        ['/orgs/$org', '.write', 'always-true', 'true'],
+        ['/orgs/$org', '.write', 'drop-clause', 'auth.org == $org'],
+        ['/orgs/$org', '.write', 'drop-clause', 'auth.admin == true'],
+        ['/orgs/$org/name', '.validate', 'remove-validate', null]
+      ]);
+      expect(mutants[2].rules).to.have.deep.property('rules.orgs.$org.\\.write', 'true');
+      expect(mutants[5].rules.rules.orgs.$org.name).to.deep.equal({});
+    });
+
+    it('should leave the rules unchanged', function() {
+      const copy = JSON.parse(JSON.stringify(rules));
+
+      mutation.mutants(rules);
+      expect(rules).to.deep.equal(copy);
+    });
+
+    it('should ignore operators in strings', function() {
+      const mutants = mutation.mutants({rules: {'.write': 'newData.val() == "a != b"'}}, {operators: ['negate-equality']});
+
+      expect(mutated(mutants)).to.deep.equal([['/', '.write', 'negate-equality', 'newData.val() != "a != b"']]);
+    });
+
+    it('should only drop top level clauses', function() {
+      const mutants = mutation.mutants({rules: {'.read': 'a() && (b() && c())'}}, {operators: ['drop-clause']});
+
+      expect(mutated(mutants).map(m => m[3])).to.deep.equal(['(b() && c())', 'a()']);
+    });
+
+    it('should throw on unknown operators', function() {
+      expect(() => mutation.mutants(rules, {operators: ['foo']})).to.throw();
+    });
+
+  });
+
+  describe('run', function() {
+
+    it('should report the surviving mutants', function() {
+      return mutation.run({rules, sequences: suite => ({
+        'admin can rename': suite.as('alice', {admin: true, org: 'x'}).set('/orgs/x/name', 'X'),
+        'others cannot rename': suite.as('bob', {org: 'x'}).set('/orgs/x/name', 'X').denied()
+      })}).then(report => {
+        expect(report).to.include({total: 6, killed: 4, survived: 2, invalid: 0, score: 66.66});
+        expect(mutated(report.mutants.filter(m => m.status === 'survived'))).to.deep.equal([
+          ['/orgs/$org', '.write', 'drop-clause', 'auth.admin == true'],
+          ['/orgs/$org/name', '.validate', 'remove-validate', null]
+        ]);
+        expect(report.mutants[0].killedBy).to.deep.equal(['admin can rename', 'others cannot rename']);
+      });
+    });
+
+    it('should compile each mutant once', function() {
+      const fresh = JSON.parse(JSON.stringify(rules));
+      const compile = sinon.spy(targaryen, 'ruleset');
+
+      return mutation.run({rules: fresh, sequences: suite => [
+        suite.as('alice', {admin: true, org: 'x'}).set('/orgs/x/name', 'X'),
+        suite.as('bob', {org: 'x'}).set('/orgs/x/name', 'X').denied(),
+        suite.as('bob', {org: 'x'}).get('/orgs/x').denied()
+      ]}).then(
+        report => {
+          compile.restore();
+          expect(compile).to.have.callCount(report.total + 1);
+        },
+        e => {
+          compile.restore();
+
+          return Promise.reject(e);
+        }
+      );
+    });
+
+    it('should load the rules and sequences from files', function() {
+      const dir = path.join(__dirname, 'utils/fixtures');
+
+      return mutation.run({
+        rules: path.join(dir, 'access-rules.json'),
+        suiteFile: path.join(dir, 'access-sequences.js'),
+        operators: ['always-true']
+      }).then(report => {
+        expect(report.mutants.map(m => [m.path, m.kind, m.status])).to.deep.equal([
+          ['/orgs/$org', '.read', 'survived'],
+          ['/orgs/$org', '.write', 'survived']
+        ]);
+      });
+    });
+
+    it('should reject if the sequences fail with the original rules', function() {
+      return mutation.run({rules, sequences: suite => ({fails: suite.as('bob').set('/orgs/x', 1)})}).then(
+        () => Promise.reject(new Error('unexpected')),
+        e => expect(e.message).to.contain('failing: fails')
+      );
+    });
+
+  });
+
+  describe('toText', function() {
+
+    it('should list surviving mutants', function() {
+      const report = {
+        total: 2,
+        killed: 1,
+        survived: 1,
+        invalid: 0,
+        score: 50,
+        mutants: [
+          {path: '/foo', kind: '.write', operator: 'always-true', original: 'false', mutated: 'true', status: 'survived'},
+          {path: '/bar', kind: '.validate', operator: 'remove-validate', original: 'false', mutated: null, status: 'killed'}
+        ]
+      };
+
+      expect(mutation.toText(report)).to.equal([
+        'Mutation score: 50% (1 killed, 1 survived, 0 invalid, 2 mutants)',
+        '',
+        'Surviving mutants:',
+        '  /foo .write: "false" -> "true" (always-true)',
+        ''
+      ].join('\n'));
+    });
+
+  });
+
+});
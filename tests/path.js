@@ -48,4 +48,17 @@ describe('path', function() {
 
   });
 
+  describe('child', function() {
+
+    it('should join the parent and the key', function() {
+      expect(path.child('foo/bar', 'baz')).to.equal('foo/bar/baz');
+    });
+
+    it('should handle the root location', function() {
+      expect(path.child('', 'foo')).to.equal('foo');
+      expect(path.child('', '.read')).to.equal('.read');
+    });
+
+  });
+
 });
@@ -1,5 +1,6 @@
 'use strict';
 
+const {SkipError} = require('../src/errors');
 const q = require('../src/promise');
 
 describe('promise', function() {
@@ -222,6 +223,161 @@ describe('promise', function() {
       );
     });
 
+    it('should resolve with a report', function() {
+      return q.all(
+        q.thenable(() => undefined, {message: 'first'}),
+        q.thenable(() => Promise.reject(new SkipError('no clock')), {message: 'second'})
+      ).then(report => {
+        expect(report.results).to.have.length(2);
+        expect(report.results.map(r => [r.index, r.message, r.status])).to.deep.equal([
+          [0, 'first', 'passed'],
+          [1, 'second', 'skipped']
+        ]);
+        expect(report.results[0].duration).to.be.a('number');
+        expect(report.results[1].error).to.be.an.instanceof(SkipError);
+        expect(report.summary).to.include({total: 2, passed: 1, failed: 0, skipped: 1});
+        expect(report.summary.duration).to.be.a('number');
+      });
+    });
+
+    it('should reject with a report of the failures', function() {
+      const err = new Error('permission denied');
+
+      return q.all(
+        q.thenable(() => undefined, {message: 'first'}),
+        q.thenable(() => Promise.reject(err), {message: 'second'})
+      ).then(
+        () => Promise.reject(new Error('unexpected')),
+        e => {
+          expect(e).to.be.an.instanceof(q.MultipleError);
+          expect(e.message).to.equal('1 of 2 assertions failed:\n\n#2 (second): permission denied');
+          expect(e.errors).to.deep.equal([err]);
+          expect(e.report.summary).to.include({total: 2, passed: 1, failed: 1, skipped: 0});
+          expect(e.report.results[1]).to.include({index: 1, status: 'failed', error: err});
+        }
+      );
+    });
+
+    it('should accept a map of named thenables', function() {
+      const err = new Error('permission denied');
+
+      return q.all({
+        'bob can read': q.thenable(() => undefined),
+        'bob cannot write': q.thenable(() => Promise.reject(err))
+      }).then(
+        () => Promise.reject(new Error('unexpected')),
+        e => {
+          expect(Object.keys(e.report.results)).to.deep.equal(['bob can read', 'bob cannot write']);
+          expect(e.report.results['bob can read']).to.include({index: 0, name: 'bob can read', status: 'passed'});
+          expect(e.report.results['bob cannot write']).to.include({index: 1, status: 'failed', error: err});
+          expect(e.message).to.contain('"bob cannot write": permission denied');
+        }
+      );
+    });
+
+    it('should accept an array of thenables', function() {
+      return q.all([q.thenable(() => undefined), q.thenable(() => undefined)]).then(
+        report => expect(report.summary.passed).to.equal(2)
+      );
+    });
+
+    it('should merge maps of named thenables', function() {
+      const first = sinon.stub().returns(Promise.resolve());
+      const second = sinon.stub().returns(Promise.resolve());
+
+      return q.all({first: q.thenable(first)}, {second: q.thenable(second)}).then(report => {
+        expect(Object.keys(report.results)).to.deep.equal(['first', 'second']);
+        expect(first).to.have.been.calledOnce();
+        expect(second).to.have.been.calledOnce();
+      });
+    });
+
+    it('should reject maps mixed with other thenables', function() {
+      return q.all([q.thenable(() => undefined)], {second: q.thenable(() => undefined)}).then(
+        () => Promise.reject(new Error('unexpected')),
+        e => expect(e.message).to.match(/Cannot mix maps/)
+      );
+    });
+
+    describe('withOptions', function() {
+
+      const deferred = () => {
+        let resolve;
+        const promise = new Promise(r => {
+          resolve = r;
+        });
+
+        return {promise, resolve};
+      };
+
+      it('should run concurrency-safe thenables in parallel', function() {
+        const first = deferred();
+        const second = sinon.stub().returns(Promise.resolve());
+        const result = q.all.withOptions([
+          q.thenable(() => first.promise, {concurrent: true}),
+          q.thenable(second, {concurrent: true})
+        ], {concurrency: 2});
+
+        return Promise.resolve().then(() => {
+          expect(second).to.have.been.calledOnce();
+          first.resolve();
+
+          return result;
+        }).then(report => {
+          expect(report.results.map(r => r.index)).to.deep.equal([0, 1]);
+          expect(report.summary.passed).to.equal(2);
+        });
+      });
+
+      it('should limit the number of pending thenables', function() {
+        let pending = 0;
+        let max = 0;
+        const src = () => {
+          pending += 1;
+          max = Math.max(max, pending);
+
+          return new Promise(resolve => setTimeout(resolve, 1)).then(() => {
+            pending -= 1;
+          });
+        };
+
+        return q.all.withOptions([1, 2, 3, 4, 5].map(() => q.thenable(src, {concurrent: true})), {concurrency: 2}).then(report => {
+          expect(max).to.equal(2);
+          expect(report.summary.passed).to.equal(5);
+        });
+      });
+
+      it('should run them sequentially if one is not concurrency-safe', function() {
+        const first = deferred();
+        const second = sinon.stub().returns(Promise.resolve());
+        const result = q.all.withOptions([
+          q.thenable(() => first.promise, {concurrent: true}),
+          q.thenable(second)
+        ], {concurrency: 2});
+
+        return Promise.resolve().then(() => {
+          expect(second).to.not.have.been.called();
+          first.resolve();
+
+          return result;
+        }).then(() => expect(second).to.have.been.calledOnce());
+      });
+
+      it('should accept a map of named thenables', function() {
+        return q.all.withOptions({
+          first: q.thenable(() => undefined, {concurrent: true}),
+          second: q.thenable(() => Promise.reject(new Error('denied')), {concurrent: true})
+        }, {concurrency: 2}).then(
+          () => Promise.reject(new Error('unexpected')),
+          e => {
+            expect(Object.keys(e.report.results)).to.deep.equal(['first', 'second']);
+            expect(e.report.summary).to.include({total: 2, passed: 1, failed: 1});
+          }
+        );
+      });
+
+    });
+
   });
 
 });
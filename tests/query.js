@@ -0,0 +1,110 @@
+'use strict';
+
+const query = require('../src/query');
+
+describe('query', function() {
+
+  describe('pick', function() {
+
+    it('should extract query parameters', function() {
+      expect(query.pick({debug: true, orderByChild: 'foo', limitToFirst: 2})).to.deep.equal({
+        orderByChild: 'foo',
+        limitToFirst: 2
+      });
+    });
+
+    it('should return null if there are no query parameters', function() {
+      expect(query.pick()).to.be.null();
+      expect(query.pick({debug: true})).to.be.null();
+    });
+
+  });
+
+  describe('toParams', function() {
+
+    it('should encode parameters', function() {
+      expect(query.toParams({orderByChild: 'foo', startAt: 'a', limitToFirst: 2})).to.deep.equal({
+        orderBy: '"foo"',
+        startAt: '"a"',
+        limitToFirst: '2'
+      });
+    });
+
+    it('should default to ordering by key', function() {
+      expect(query.toParams({equalTo: 1})).to.deep.equal({orderBy: '"$key"', equalTo: '1'});
+      expect(query.toParams({orderByKey: true})).to.deep.equal({orderBy: '"$key"'});
+    });
+
+    it('should handle ordering by value and by priority', function() {
+      expect(query.toParams({orderByValue: true})).to.deep.equal({orderBy: '"$value"'});
+      expect(query.toParams({orderByPriority: true})).to.deep.equal({orderBy: '"$priority"'});
+    });
+
+    it('should handle missing query', function() {
+      expect(query.toParams()).to.deep.equal({});
+      expect(query.toParams(null)).to.deep.equal({});
+    });
+
+  });
+
+  describe('indexOn', function() {
+    const rules = {
+      rules: {
+        users: {'.indexOn': 'name'},
+        rooms: {
+          $roomId: {
+            messages: {'.indexOn': ['sentAt', '.value']}
+          }
+        }
+      }
+    };
+
+    it('should find a location index', function() {
+      expect(query.indexOn(rules, 'users')).to.deep.equal(['name']);
+      expect(query.indexOn(rules, '/rooms/foo/messages')).to.deep.equal(['sentAt', '.value']);
+    });
+
+    it('should return an empty list for location without index', function() {
+      expect(query.indexOn(rules, '')).to.deep.equal([]);
+      expect(query.indexOn(rules, 'rooms')).to.deep.equal([]);
+      expect(query.indexOn(rules, 'foo/bar')).to.deep.equal([]);
+      expect(query.indexOn(null, 'foo')).to.deep.equal([]);
+    });
+
+  });
+
+  describe('index', function() {
+
+    it('should return the index a query requires', function() {
+      expect(query.index({orderByChild: 'rank'})).to.equal('rank');
+      expect(query.index({orderByValue: true})).to.equal('.value');
+      expect(query.index({orderByKey: true})).to.equal(undefined);
+      expect(query.index(null)).to.equal(undefined);
+    });
+
+  });
+
+  describe('assertIndexed', function() {
+    const rules = {rules: {users: {'.indexOn': ['name', '.value']}}};
+
+    it('should throw if a child index is missing', function() {
+      expect(() => query.assertIndexed(rules, 'users', {orderByChild: 'name'})).to.not.throw();
+      expect(() => query.assertIndexed(rules, 'users', {orderByChild: 'age'})).to.throw(
+        'Index not defined, add ".indexOn": "age", for path "/users", to the rules'
+      );
+    });
+
+    it('should throw if a value index is missing', function() {
+      expect(() => query.assertIndexed(rules, 'users', {orderByValue: true})).to.not.throw();
+      expect(() => query.assertIndexed(rules, 'rooms', {orderByValue: true})).to.throw(/"\.value"/);
+    });
+
+    it('should not require index when ordering by key or priority', function() {
+      expect(() => query.assertIndexed(rules, 'rooms')).to.not.throw();
+      expect(() => query.assertIndexed(rules, 'rooms', {orderByKey: true})).to.not.throw();
+      expect(() => query.assertIndexed(rules, 'rooms', {orderByPriority: true, limitToFirst: 1})).to.not.throw();
+    });
+
+  });
+
+});
@@ -0,0 +1,99 @@
+'use strict';
+
+const path = require('path');
+const regression = require('../src/regression');
+
+describe('regression', function() {
+  const dir = path.join(__dirname, 'utils/fixtures');
+  const before = {rules: {'.read': true, people: {$uid: {'.write': 'auth.uid == $uid'}}}};
+  const after = {rules: {'.read': true, people: {$uid: {'.write': 'auth.uid == $uid && newData.isNumber()'}}}};
+
+  describe('diff', function() {
+
+    it('should list the sequences whose outcome changed', function() {
+      const report = regression.diff({before, after, sequences: suite => ({
+        'bob sets his presence': suite.as('bob').set('/people/bob', 1).push('/people/bob/history', 'x'),
+        'alice reads': suite.as('alice').get('/people')
+      })});
+
+      expect([report.total, report.changed]).to.deep.equal([2, 1]);
+      expect(report.sequences.map(r => [r.name, r.changed])).to.deep.equal([
+        ['bob sets his presence', true],
+        ['alice reads', false]
+      ]);
+      expect(report.sequences[0].operations).to.deep.equal([{
+        index: 1,
+        description: 'Operation #2 (push "/people/bob/history" as "bob")',
+        before: 'allowed',
+        after: 'denied'
+      }]);
+      expect(report.sequences[0].data).to.deep.equal([
+        {path: 'people/bob', before: null, after: 1},
+        {path: 'people/bob/history/--firebase-test-id-0--', before: 'x', after: null}
+      ]);
+    });
+
+    it('should evaluate every operation of a sequence', function() {
+      const report = regression.diff({before, after: {rules: {'.read': true}}, sequences: suite => [
+        suite.as('alice').set('/people/bob', 1).as('bob').set('/people/bob', 2)
+      ]});
+
+      expect(report.sequences[0].name).to.equal('#1');
+      expect(report.sequences[0].operations.map(o => [o.index, o.before, o.after])).to.deep.equal([
+        [1, 'allowed', 'denied']
+      ]);
+    });
+
+    it('should report evaluation errors', function() {
+      const report = regression.diff({before, after, sequences: suite => suite.as('bob').transaction('/people/bob', () => {
+        throw new Error('oops');
+      })});
+
+      expect(report.changed).to.equal(0);
+      expect(report.sequences[0]).to.not.have.property('error');
+    });
+
+    it('should load rules and sequences from files', function() {
+      const report = regression.diff({
+        before: path.join(dir, 'access-rules.json'),
+        after: path.join(dir, 'access-rules-v2.json'),
+        suiteFile: path.join(dir, 'access-sequences.js')
+      });
+
+      expect(report.changed).to.equal(1);
+      expect(report.sequences[0].operations.map(o => [o.before, o.after])).to.deep.equal([['allowed', 'denied']]);
+    });
+
+    it('should throw if an option is missing', function() {
+      expect(() => regression.diff({before, after})).to.throw();
+      expect(() => regression.diff({before, sequences: () => []})).to.throw();
+    });
+
+  });
+
+  describe('toText', function() {
+
+    it('should render the changes', function() {
+      const report = regression.diff({before, after, sequences: suite => ({
+        'bob sets his presence': suite.as('bob').set('/people/bob', 'online')
+      })});
+
+      expect(regression.toText(report)).to.equal([
+        '1 of 1 sequences changed between "before" and "after":',
+        '',
+        '"bob sets his presence":',
+        '  Operation #1 (set "/people/bob" as "bob"): allowed -> denied',
+        '  /people/bob: "online" -> null',
+        ''
+      ].join('\n'));
+    });
+
+    it('should render unchanged reports', function() {
+      const report = regression.diff({before, after: before, sequences: suite => [suite.as('bob').get('/people')]});
+
+      expect(regression.toText(report)).to.equal('0 of 1 sequences changed between "before" and "after".\n');
+    });
+
+  });
+
+});
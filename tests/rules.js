@@ -0,0 +1,87 @@
+'use strict';
+
+const fixtures = require('../src/fixtures');
+const path = require('path');
+const rules = require('../src/rules');
+
+describe('rules', function() {
+  const dir = path.join(__dirname, 'utils/fixtures');
+  const rulesFile = path.join(dir, 'database.rules.json');
+  const config = path.join(dir, 'firebase.json');
+  const expected = {
+    rules: {
+      orgs: {
+        $org: {'.read': 'auth != null', '.write': 'auth.admin == true'}
+      }
+    }
+  };
+
+  beforeEach(function() {
+    fixtures.reset();
+  });
+
+  describe('load', function() {
+
+    it('should load a rules file with comments', function() {
+      expect(rules.load(rulesFile)).to.deep.equal(expected);
+    });
+
+    it('should throw if the file is missing', function() {
+      expect(() => rules.load(path.join(dir, 'missing.json'))).to.throw(/Rules file ".+missing\.json" not found/);
+    });
+
+    it('should report parse errors location', function() {
+      expect(() => rules.load(path.join(dir, 'invalid.json'))).to.throw(/invalid\.json" \(line 3, column 5\)/);
+    });
+
+    it('should compile Bolt files', function() {
+      expect(rules.load(path.join(dir, 'rules.bolt'))).to.have.deep.property('rules.orgs.$org');
+    });
+
+    it('should throw if the file has no rules', function() {
+      expect(() => rules.load(path.join(dir, 'base.json'))).to.throw(/has no "rules" definition/);
+    });
+
+  });
+
+  describe('fromConfig', function() {
+
+    it('should follow the database rules reference', function() {
+      expect(rules.fromConfig(config)).to.deep.equal(expected);
+    });
+
+    it('should throw if the config file is missing', function() {
+      expect(() => rules.fromConfig(path.join(dir, 'missing.json'))).to.throw(/Config file ".+missing\.json" not found/);
+    });
+
+    it('should throw if the config has no database rules', function() {
+      expect(
+        () => rules.fromConfig(path.join(dir, 'firebase-no-database.json'))
+      ).to.throw(/has no "database.rules" reference/);
+    });
+
+  });
+
+  describe('resolve', function() {
+
+    it('should return rules objects', function() {
+      expect(rules.resolve({rules: expected})).to.equal(expected);
+    });
+
+    it('should load rules files', function() {
+      expect(rules.resolve({rules: rulesFile})).to.deep.equal(expected);
+      expect(rules.resolve({config})).to.deep.equal(expected);
+    });
+
+    it('should compile Bolt files', function() {
+      expect(rules.resolve({bolt: path.join(dir, 'rules.bolt')})).to.have.deep.property('rules.orgs.$org');
+    });
+
+    it('should throw if several sources are provided', function() {
+      expect(() => rules.resolve({rules: expected, config})).to.throw();
+      expect(() => rules.resolve({rules: expected, bolt: 'rules.bolt'})).to.throw();
+    });
+
+  });
+
+});
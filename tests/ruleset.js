@@ -0,0 +1,62 @@
+'use strict';
+
+const ruleset = require('../src/ruleset');
+
+describe('ruleset', function() {
+  const rules = {
+    rules: {
+      '.read': false,
+      users: {
+        admin: {'.read': true},
+        $uid: {
+          '.write': 'auth.uid == $uid',
+          name: {'.validate': 'newData.isString()'}
+        }
+      }
+    }
+  };
+
+  describe('nodes', function() {
+
+    it('should list every rule node', function() {
+      expect(ruleset.nodes(rules).map(n => n.path)).to.deep.equal([
+        '',
+        'users',
+        'users/admin',
+        'users/$uid',
+        'users/$uid/name'
+      ]);
+    });
+
+    it('should return the nodes', function() {
+      expect(ruleset.nodes(rules)[2].node).to.equal(rules.rules.users.admin);
+    });
+
+    it('should handle missing rules', function() {
+      expect(ruleset.nodes({})).to.deep.equal([]);
+    });
+
+  });
+
+  describe('find', function() {
+
+    it('should find the root node', function() {
+      expect(ruleset.find(rules, '/')).to.deep.equal({path: '', node: rules.rules});
+    });
+
+    it('should find a node', function() {
+      expect(ruleset.find(rules, 'users/admin').path).to.equal('users/admin');
+    });
+
+    it('should follow wildchildren', function() {
+      expect(ruleset.find(rules, 'users/bob/name').path).to.equal('users/$uid/name');
+    });
+
+    it('should return null for locations without rules', function() {
+      expect(ruleset.find(rules, 'posts/1')).to.equal(null);
+      expect(ruleset.find({}, 'posts/1')).to.equal(null);
+    });
+
+  });
+
+});
@@ -0,0 +1,71 @@
+'use strict';
+
+const servervalue = require('../src/servervalue');
+
+describe('servervalue', function() {
+
+  describe('isServerValue', function() {
+
+    it('should test a value is a placeholder', function() {
+      expect(servervalue.isServerValue(servervalue.TIMESTAMP)).to.be.true();
+      expect(servervalue.isServerValue(servervalue.increment(1))).to.be.true();
+      expect(servervalue.isServerValue({foo: 1})).to.be.false();
+      expect(servervalue.isServerValue(null)).to.be.false();
+      expect(servervalue.isServerValue(1)).to.be.false();
+    });
+
+  });
+
+  describe('resolve', function() {
+    const now = 12345;
+
+    it('should resolve timestamps', function() {
+      expect(servervalue.resolve({'.sv': 'timestamp'}, {now})).to.equal(now);
+      expect(servervalue.resolve({foo: {bar: {'.sv': 'timestamp'}}}, {now})).to.deep.equal({
+        foo: {bar: now}
+      });
+    });
+
+    it('should resolve increments', function() {
+      expect(servervalue.resolve(servervalue.increment(2), {current: 3})).to.equal(5);
+      expect(servervalue.resolve(servervalue.increment(2), {current: 'foo'})).to.equal(2);
+      expect(servervalue.resolve(servervalue.increment(2))).to.equal(2);
+      expect(servervalue.resolve({count: servervalue.increment(1)}, {current: {count: 1}})).to.deep.equal({
+        count: 2
+      });
+    });
+
+    it('should keep other values', function() {
+      expect(servervalue.resolve(null)).to.be.null();
+      expect(servervalue.resolve(1)).to.equal(1);
+      expect(servervalue.resolve({foo: [1, 2]})).to.deep.equal({foo: [1, 2]});
+    });
+
+    it('should throw on unsupported placeholders', function() {
+      expect(() => servervalue.resolve({'.sv': 'foo'})).to.throw(/Unsupported server value/);
+    });
+
+  });
+
+  describe('resolvePatch', function() {
+
+    it('should resolve each update relatively to the updated location', function() {
+      const patch = {
+        'foo/count': servervalue.increment(1),
+        bar: {updatedAt: servervalue.TIMESTAMP}
+      };
+      const current = {foo: {count: 2}};
+
+      expect(servervalue.resolvePatch(patch, {now: 12345, current})).to.deep.equal({
+        'foo/count': 3,
+        bar: {updatedAt: 12345}
+      });
+    });
+
+    it('should handle missing patch', function() {
+      expect(servervalue.resolvePatch(null)).to.be.null();
+    });
+
+  });
+
+});
@@ -0,0 +1,164 @@
+'use strict';
+
+const data = require('../src/data');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const snapshot = require('../src/snapshot');
+
+describe('snapshot', function() {
+  let dir, file;
+
+  beforeEach(function() {
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), 'firebase-test-'));
+    file = path.join(dir, '__snapshots__', 'test.js.snap.json');
+  });
+
+  afterEach(function() {
+    if (fs.existsSync(file)) {
+      fs.unlinkSync(file);
+    }
+
+    if (fs.existsSync(path.dirname(file))) {
+      fs.rmdirSync(path.dirname(file));
+    }
+
+    fs.rmdirSync(dir);
+  });
+
+  describe('shouldUpdate', function() {
+
+    it('should read FIREBASE_TEST_UPDATE_SNAPSHOTS', function() {
+      expect(snapshot.shouldUpdate({})).to.be.false();
+      expect(snapshot.shouldUpdate({FIREBASE_TEST_UPDATE_SNAPSHOTS: '1'})).to.be.true();
+      expect(snapshot.shouldUpdate({FIREBASE_TEST_UPDATE_SNAPSHOTS: 'true'})).to.be.true();
+      expect(snapshot.shouldUpdate({FIREBASE_TEST_UPDATE_SNAPSHOTS: '0'})).to.be.false();
+      expect(snapshot.shouldUpdate({FIREBASE_TEST_UPDATE_SNAPSHOTS: 'false'})).to.be.false();
+    });
+
+  });
+
+  describe('callerFile', function() {
+
+    it('should return the first file outside the library', function() {
+      const src = path.resolve(__dirname, '../src/context.js');
+      const stack = [
+        'Error',
+        `    at Object.exports.callerFile (${path.resolve(__dirname, '../src/snapshot.js')}:45:10)`,
+        `    at Context.matchSnapshot (${src}:12:3)`,
+        '    at /path/to/test/rules.js:10:5',
+        '    at Context.<anonymous> (/path/to/test/other.js:1:1)'
+      ].join('\n');
+
+      expect(snapshot.callerFile(stack)).to.equal('/path/to/test/rules.js');
+    });
+
+    it('should default to the current stack', function() {
+      expect(snapshot.callerFile()).to.equal(__filename);
+    });
+
+  });
+
+  describe('file', function() {
+
+    it('should return a path in a __snapshots__ directory next to the test file', function() {
+      expect(snapshot.file('/path/to/test/rules.js')).to.equal('/path/to/test/__snapshots__/rules.js.snap.json');
+    });
+
+    it('should throw if the test file is unknown', function() {
+      expect(() => snapshot.file()).to.throw();
+    });
+
+  });
+
+  describe('normalize', function() {
+    const now = 1500000000000;
+
+    it('should replace push ids in order', function() {
+      expect(snapshot.normalize({
+        posts: {
+          '-KpX0000000000000001': {by: 'bob'},
+          '-KpX0000000000000000': {by: 'alice'}
+        },
+        last: {'--firebase-test-id-1--': true}
+      }, {now})).to.deep.equal({
+        last: {'<push-id-1>': true},
+        posts: {
+          '<push-id-2>': {by: 'alice'},
+          '<push-id-3>': {by: 'bob'}
+        }
+      });
+    });
+
+    it('should replace timestamps', function() {
+      expect(snapshot.normalize({createdAt: now - 1000, count: 2}, {now})).to.deep.equal({
+        count: 2,
+        createdAt: '<timestamp>'
+      });
+    });
+
+    it('should number simulated ids in creation order', function() {
+      const expected = {'<push-id-1>': 'a', '<push-id-2>': 'b'};
+
+      expect(snapshot.normalize({'--firebase-test-id-3--': 'a', '--firebase-test-id-4--': 'b'}, {now})).to.deep.equal(expected);
+      expect(snapshot.normalize({'--firebase-test-id-9--': 'a', '--firebase-test-id-10--': 'b'}, {now})).to.deep.equal(expected);
+      expect(snapshot.normalize({'--firebase-test-id-99--': 'a', '--firebase-test-id-100--': 'b'}, {now})).to.deep.equal(expected);
+    });
+
+    it('should normalize arrays and remove empty values', function() {
+      expect(snapshot.normalize({foo: ['a', 'b'], bar: null, baz: {}}, {now})).to.deep.equal({
+        foo: {0: 'a', 1: 'b'}
+      });
+    });
+
+  });
+
+  describe('match', function() {
+
+    it('should save missing snapshots', function() {
+      snapshot.match({foo: 1}, {name: 'foo', file, update: false, ci: false});
+      snapshot.match({bar: 2}, {name: 'bar', file, update: false, ci: false});
+
+      expect(fs.readFileSync(file, 'utf8')).to.equal('{\n  "bar": {\n    "bar": 2\n  },\n  "foo": {\n    "foo": 1\n  }\n}\n');
+    });
+
+    it('should throw if a snapshot is missing on CI', function() {
+      expect(
+        () => snapshot.match({foo: 1}, {name: 'foo', file, update: false, ci: true})
+      ).to.throw(/missing/);
+      expect(fs.existsSync(file)).to.be.false();
+    });
+
+    it('should compare the value to the snapshot', function() {
+      snapshot.match({foo: 1}, {name: 'foo', file, update: false, ci: false});
+
+      expect(snapshot.match({foo: 1}, {name: 'foo', file, update: false, ci: true})).to.deep.equal({foo: 1});
+    });
+
+    it('should throw if the value does not match the snapshot', function() {
+      snapshot.match({foo: 1, bar: 2}, {name: 'foo', file, update: false, ci: false});
+
+      let error;
+
+      try {
+        snapshot.match({foo: 2, bar: 2}, {name: 'foo', file, update: false, ci: false});
+      } catch (e) {
+        error = e;
+      }
+
+      expect(error).to.be.an.instanceof(data.DataError);
+      expect(error.diff).to.deep.equal([{path: 'foo', expected: 1, actual: 2}]);
+      expect(error.message).to.contain('/foo: expected 1, got 2');
+      expect(error.message).to.contain('FIREBASE_TEST_UPDATE_SNAPSHOTS');
+    });
+
+    it('should rewrite the snapshot when updating', function() {
+      snapshot.match({foo: 1}, {name: 'foo', file, update: false, ci: false});
+      snapshot.match({foo: 2}, {name: 'foo', file, update: true, ci: true});
+
+      expect(snapshot.read(file)).to.deep.equal({foo: {foo: 2}});
+    });
+
+  });
+
+});
@@ -0,0 +1,10 @@
+'use strict';
+
+module.exports = function(suite) {
+  const seed = suite.startWith({orgs: {x: {name: 'X'}}});
+
+  return {
+    'alice renames x': seed.as('alice', {admin: true}).set('/orgs/x/name', 'Org X'),
+    'bob reads x': seed.as('bob').get('/orgs/x')
+  };
+};